@@ -2,6 +2,13 @@
 
 import {
     assign as _assign,
+    cloneDeep as _cloneDeep,
+    difference as _difference,
+    every as _every,
+    filter as _filter,
+    find as _find,
+    findIndex as _findIndex,
+    flatMap as _flatMap,
     forEach as _forEach,
     forOwn as _forOwn,
     has as _has,
@@ -10,12 +17,30 @@ import {
     isEmpty as _isEmpty,
     isArray as _isArray,
     isFunction as _isFunction,
-    isObject as _isObject,
+    isInteger as _isInteger,
     isObjectLike as _isObjectLike,
-    isNull as _isNull,
+    isUndefined as _isUndefined,
+    isNil as _isNil,
+    isNaN as _isNaN,
+    isPlainObject as _isPlainObject,
     forIn as _forIn,
+    intersection as _intersection,
     keys as _keys,
-    map as _map
+    last as _last,
+    map as _map,
+    mapValues as _mapValues,
+    noop as _noop,
+    pick as _pick,
+    remove as _remove,
+    reduce as _reduce,
+    result as _result,
+    some as _some,
+    sortBy as _sortBy,
+    startsWith as _startsWith,
+    union as _union,
+    uniq as _uniq,
+    values as _values,
+    zipObject as _zipObject
 } from 'lodash';
 
 import split from 'split-string';
@@ -24,6 +49,641 @@ import inflection from 'inflection';
 
 import Paginator from 'bookshelf-page';
 
+import Promise from 'bluebird';
+
+/**
+ * Escapes the wildcards of a `like` pattern, and the backslash escaping them,
+ * so that a value is matched literally.
+ * @param   value {*}
+ * @return  {string}
+ */
+const escapeLike = (value) => {
+
+    return String(value).replace(/[\\%_]/g, '\\$&');
+};
+
+/**
+ * Splits a comma separated list, honoring escaped commas (`\\,`), and
+ * drops empty entries. Arrays are flattened so that repeated query
+ * parameters (`sort=a&sort=b`) and comma lists can be mixed.
+ * @param   value {string|array}
+ * @return  {array}
+ */
+const splitList = (value) => {
+
+    if (_isArray(value)) {
+        return _flatMap(value, splitList);
+    }
+
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    return _filter(split(value.toString(), { keepQuotes: true, sep: ',' }), (item) => item !== '');
+};
+
+// Segments of query parameter names that would reach the prototype of the parsed objects
+const unsafeQueryKeys = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Assigns a value to an object using the segments of a bracketed query
+ * parameter name, i.e. `filter[like][name]` becomes `['filter', 'like', 'name']`.
+ * Repeated parameters are collected into an array, and parameters with a
+ * segment in `unsafeQueryKeys` are ignored.
+ * @param   target {object}
+ * @param   path {array}
+ * @param   value {*}
+ */
+const assignQueryValue = (target, path, value) => {
+
+    if (_some(path, (segment) => _includes(unsafeQueryKeys, segment))) {
+        return;
+    }
+
+    let level = target;
+
+    _forEach(path.slice(0, -1), (segment) => {
+
+        if (!_has(level, segment) || !_isPlainObject(level[segment])) {
+            level[segment] = {};
+        }
+        level = level[segment];
+    });
+
+    const key = path[path.length - 1];
+
+    if (key === '') {
+        // `include[]=a&include[]=b` style parameters
+        return assignQueryValue(target, path.slice(0, -1), value);
+    }
+
+    if (_has(level, key) && !_isPlainObject(level[key]) && !_isPlainObject(value)) {
+        level[key] = [].concat(level[key], value);
+    }
+    else {
+        level[key] = value;
+    }
+};
+
+/**
+ * Breaks a query parameter name into its bracketed segments.
+ * @param   name {string}
+ * @return  {array}
+ */
+const parseQueryKey = (name) => {
+
+    const match = /^([^\[\]]+)((?:\[[^\[\]]*\])*)$/.exec(name);
+
+    if (!match) {
+        return [name];
+    }
+
+    const path = [match[1]];
+    const regex = /\[([^\[\]]*)\]/g;
+    let segment = regex.exec(match[2]);
+
+    while (segment) {
+        path.push(segment[1]);
+        segment = regex.exec(match[2]);
+    }
+
+    return path;
+};
+
+/**
+ * Decodes a single component of a query string.
+ * @param   component {string}
+ * @return  {string}
+ */
+const decodeQueryComponent = (component) => {
+
+    try {
+        return decodeURIComponent(component.replace(/\+/g, ' '));
+    }
+    catch (err) {
+        return component;
+    }
+};
+
+/**
+ * Parses a raw query string (`?include=pets&filter[like][name]=ax`) or an
+ * already decoded query object (such as `req.query`) into the options object
+ * consumed by `fetchJsonApi`:
+ *
+ *      {
+ *          include: ['pets'],
+ *          fields: { person: ['name', 'age'] },
+ *          sort: ['-age'],
+ *          group: [],
+ *          page: { limit: 10 },
+ *          filter: { like: { name: 'ax' } }
+ *      }
+ *
+ * `include`, `sort`, `group` and each `fields` entry are split on commas,
+ * honoring escaped commas. Filter values are left untouched since
+ * `fetchJsonApi` splits them itself. Parameters not defined by the
+ * plugin are ignored.
+ * @param   query {string|object}
+ * @return  {object}
+ */
+const parseJsonApiQuery = (query) => {
+
+    const raw = {};
+
+    if (typeof query === 'string') {
+        const queryString = query.indexOf('?') === 0 ? query.substr(1) : query;
+
+        _forEach(queryString.split('&'), (pair) => {
+
+            if (!pair) {
+                return;
+            }
+
+            const separator = pair.indexOf('=');
+            const name = decodeQueryComponent(separator === -1 ? pair : pair.substr(0, separator));
+            const value = separator === -1 ? '' : decodeQueryComponent(pair.substr(separator + 1));
+
+            assignQueryValue(raw, parseQueryKey(name), value);
+        });
+    }
+    else if (_isObjectLike(query)) {
+        _forOwn(query, (value, name) => {
+
+            assignQueryValue(raw, parseQueryKey(name), value);
+        });
+    }
+
+    const parsed = {};
+
+    if (_has(raw, 'include')) {
+        parsed.include = splitList(raw.include);
+    }
+
+    if (_has(raw, 'sort')) {
+        parsed.sort = splitList(raw.sort);
+    }
+
+    if (_has(raw, 'group')) {
+        parsed.group = splitList(raw.group);
+    }
+
+    if (_isPlainObject(raw.fields)) {
+        parsed.fields = _mapValues(raw.fields, splitList);
+    }
+
+    if (_isPlainObject(raw.page)) {
+        // Numeric paging values are converted so they can be handed to `fetchPage`
+        parsed.page = _mapValues(raw.page, (value) => {
+
+            return typeof value === 'string' && /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+        });
+    }
+    else if (raw.page === false || raw.page === 'false') {
+        parsed.page = false;
+    }
+
+    if (_isPlainObject(raw.filter)) {
+        parsed.filter = raw.filter;
+    }
+
+    return parsed;
+};
+
+/**
+ * Encodes the sort values of a record into an opaque, URL safe cursor.
+ * @param   values {array}
+ * @return  {string}
+ */
+const encodeCursor = (values) => {
+
+    return Buffer.from(JSON.stringify(values)).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+};
+
+/**
+ * Decodes a cursor created by `encodeCursor`. Returns null if the cursor
+ * is malformed.
+ * @param   cursor {string}
+ * @return  {array|null}
+ */
+const decodeCursor = (cursor) => {
+
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+
+        return _isArray(values) ? values : null;
+    }
+    catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Coerces a filter value to an attribute type: `integer`, `number`, `boolean`,
+ * `date` or `string`. Dates are normalized to ISO 8601 strings, and integers
+ * too large to be represented exactly are kept as strings. Returns undefined
+ * if the value cannot be coerced.
+ * @param   type {string}
+ * @param   value {*}
+ * @return  {*}
+ */
+const coerceValue = (type, value) => {
+
+    const text = String(value).trim();
+
+    if (type === 'integer'){
+        if (!/^[-+]?\d+$/.test(text)){
+            return undefined;
+        }
+
+        return Number.isSafeInteger(Number(text)) ? Number(text) : text;
+    }
+
+    if (type === 'number'){
+        return text !== '' && isFinite(text) ? Number(text) : undefined;
+    }
+
+    if (type === 'boolean'){
+        const booleans = { true: true, 1: true, false: false, 0: false };
+
+        return _has(booleans, text.toLowerCase()) ? booleans[text.toLowerCase()] : undefined;
+    }
+
+    if (type === 'date'){
+        if (_isNaN(Date.parse(text))){
+            return undefined;
+        }
+
+        return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : new Date(text).toISOString();
+    }
+
+    return value;
+};
+
+/**
+ * Creates an in-memory cache store for the `cache` plugin option, which keeps
+ * the `max` most recently used entries for `ttl` milliseconds at most. Stores
+ * implement `get(key)`, resolving with undefined when the key is missing, and
+ * `set(key, value, ttl)`; either may return a promise.
+ * @param   options {object}
+ * @param   options.max {number}
+ * @param   options.ttl {number}
+ * @return  {object}
+ */
+const memoryStore = ({ max = 500, ttl: defaultTtl = 60000 } = {}) => {
+
+    // A Map iterates in insertion order, so its first key is the least recently used
+    const entries = new Map();
+
+    return {
+        get: (key) => {
+
+            const entry = entries.get(key);
+
+            if (!entry){
+                return undefined;
+            }
+
+            entries.delete(key);
+
+            if (entry.expires <= Date.now()){
+                return undefined;
+            }
+
+            entries.set(key, entry);
+
+            return entry.value;
+        },
+        set: (key, value, ttl = defaultTtl) => {
+
+            entries.delete(key);
+            entries.set(key, { value, expires: Date.now() + ttl });
+
+            while (entries.size > max){
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        clear: () => entries.clear()
+    };
+};
+
+/**
+ * Normalizes parameters so that equivalent requests share a cache key: the keys
+ * of objects are sorted and comma separated lists are split.
+ * @param   value {*}
+ * @return  {*}
+ */
+const normalizeParams = (value) => {
+
+    if (_isPlainObject(value)){
+        return _reduce(_sortBy(_keys(value)), (result, key) => {
+
+            result[key] = normalizeParams(value[key]);
+            return result;
+        }, {});
+    }
+
+    if (_isArray(value) && _some(value, _isPlainObject)){
+        return _map(value, normalizeParams);
+    }
+
+    if (_isArray(value) || typeof value === 'string'){
+        return splitList(value);
+    }
+
+    return value;
+};
+
+/**
+ * Copies a cached result so that changes made by the caller don't alter the cache.
+ * @param   result {Model|Collection|object|null}
+ * @return  {Model|Collection|object|null}
+ */
+const cloneResult = (result) => {
+
+    if (!result || !_isFunction(result.clone)){
+        return _cloneDeep(result);
+    }
+
+    const clone = result.models ? new result.constructor(result.invokeMap('clone'), { model: result.model }) : result.clone();
+
+    return _assign(clone, _cloneDeep(_pick(result, ['pagination', 'jsonApi'])));
+};
+
+/**
+ * Calls hooks one after the other with the `args` object, waiting for the
+ * promises they return. When `key` is given, a hook returning a value other
+ * than `undefined` replaces that member of `args` for the hooks that follow.
+ * @param   hooks {array} Functions, or arrays of functions
+ * @param   args {object}
+ * @param   key {string}
+ * @return  {Promise} Resolves with the final value of the `key` member
+ */
+const runHooks = (hooks, args, key) => {
+
+    return _reduce(_flatMap(hooks, (hook) => [].concat(hook || [])), (promise, hook) => {
+
+        return promise.then((value) => {
+
+            return Promise.resolve(hook(key ? _assign({}, args, { [key]: value }) : args)).then((result) => {
+
+                return result === undefined || !key ? value : result;
+            });
+        });
+    }, Promise.resolve(key ? args[key] : undefined));
+};
+
+/**
+ * Error raised by `fetchJsonApi` when a query parameter is invalid. It
+ * carries the members of a {@link http://jsonapi.org/format/#error-objects|JSON API error object}
+ * and serializes to a complete error document, so it can be sent as is:
+ *
+ *      res.status(err.status).json(err);
+ *
+ * When the plugin is registered with `collectErrors`, `errors` holds every
+ * invalid parameter while the other members describe the first one.
+ * @param   errors {object|array}
+ *     One or more objects with `code`, `title`, `detail`, `parameter` and
+ *     an optional `status` (defaults to 400).
+ */
+const JsonApiParamsError = function (errors) {
+
+    errors = _map([].concat(errors), (error) => {
+
+        return {
+            status: error.status || 400,
+            code: error.code,
+            title: error.title,
+            detail: error.detail,
+            source: { parameter: error.parameter }
+        };
+    });
+
+    _assign(this, errors[0]);
+
+    this.message = this.detail;
+    this.errors = errors;
+
+    if (_isFunction(Error.captureStackTrace)) {
+        Error.captureStackTrace(this, JsonApiParamsError);
+    }
+};
+
+JsonApiParamsError.prototype = Object.create(Error.prototype);
+JsonApiParamsError.prototype.constructor = JsonApiParamsError;
+JsonApiParamsError.prototype.name = 'JsonApiParamsError';
+
+/**
+ * Returns the JSON API error document for the error.
+ * @return  {object}
+ */
+JsonApiParamsError.prototype.toJSON = function () {
+
+    return {
+        errors: _map(this.errors, (error) => _assign({}, error, { status: String(error.status) }))
+    };
+};
+
+/**
+ * Returns the JSON API type of a model: the `type` declared in its
+ * `jsonApiParams`, or its table name.
+ * @param   model {object}
+ * @return  {string}
+ */
+const resourceType = (model) => {
+
+    return (model.jsonApiParams && model.jsonApiParams.type) || model.tableName;
+};
+
+/**
+ * Replaces the `page` query parameters of a URL.
+ * @param   url {string}
+ * @param   page {object|null}
+ * @return  {string|null}
+ */
+const pageLink = (url, page) => {
+
+    if (!page){
+        return null;
+    }
+
+    const [path, query = ''] = url.split('?');
+    const params = _filter(query.split('&'), (param) => param && !/^page(\[|%5B)/i.test(param));
+
+    _forOwn(page, (value, key) => params.push(`page[${key}]=${encodeURIComponent(value)}`));
+
+    return `${path}?${params.join('&')}`;
+};
+
+/**
+ * Builds the `first`, `prev`, `next` and `last` links from the `pagination`
+ * of a collection. Links that don't apply are null.
+ * @param   url {string}
+ * @param   pagination {object}
+ * @return  {object}
+ */
+const paginationLinks = (url, pagination) => {
+
+    const { page, pageSize, offset, limit, size, rowCount, pageCount, hasMore } = pagination;
+    const lastPage = Math.max(pageCount, 1);
+
+    // Pages fetched with `page[count]=false` have no last page
+    const isUncounted = _has(pagination, 'hasMore');
+    let links;
+
+    // Cursor pagination
+    if (_has(pagination, 'nextCursor')){
+        links = {
+            first: { after: '', size },
+            prev: pagination.prevCursor && { before: pagination.prevCursor, size },
+            next: pagination.nextCursor && { after: pagination.nextCursor, size },
+            last: null
+        };
+    }
+    else if (_has(pagination, 'pageSize')){
+        links = {
+            first: { number: 1, size: pageSize },
+            prev: page > 1 && { number: page - 1, size: pageSize },
+            next: (isUncounted ? hasMore : page < lastPage) && { number: page + 1, size: pageSize },
+            last: !isUncounted && { number: lastPage, size: pageSize }
+        };
+    }
+    else {
+        links = {
+            first: { offset: 0, limit },
+            prev: offset > 0 && { offset: Math.max(offset - limit, 0), limit },
+            next: (isUncounted ? hasMore : offset + limit < rowCount) && { offset: offset + limit, limit },
+            last: !isUncounted && { offset: (lastPage - 1) * limit, limit }
+        };
+    }
+
+    return _mapValues(links, (linkPage) => {
+
+        return pageLink(url, linkPage && (isUncounted ? _assign({}, linkPage, { count: false }) : linkPage));
+    });
+};
+
+/**
+ * Serializes a model into a resource object, registering it by `type:id` so
+ * that the relationships of resources reached through several paths are merged. Loaded
+ * relations become relationships and their models are serialized in turn.
+ * @param   model {object}
+ * @param   type {string}
+ * @param   idAttribute {string}
+ * @param   path {string}
+ *     The include path of the model, empty for primary data
+ * @param   context {object}
+ * @return  {object}
+ */
+const serializeResource = (model, type, idAttribute, path, context) => {
+
+    const key = `${type}:${model.id}`;
+    let resource = context.resources[key];
+
+    // Attributes are taken from the first occurrence of a resource only
+    if (!resource){
+        const attributes = model.serialize({ shallow: true });
+        const fields = _find(_map([path, _last(path.split('.')), type], (fieldKey) => context.fields[fieldKey]));
+
+        delete attributes[idAttribute];
+        resource = context.resources[key] = {
+            type,
+            id: String(model.id),
+            attributes: fields ? _pick(attributes, fields) : attributes
+        };
+    }
+
+    _forOwn(model.relations, (related, name) => {
+
+        const relatedPath = path ? `${path}.${name}` : name;
+        const identify = (relatedModel) => {
+
+            const relatedType = resourceType(relatedModel);
+
+            if (!_has(context.resources, `${relatedType}:${relatedModel.id}`)){
+                context.included.push(`${relatedType}:${relatedModel.id}`);
+            }
+
+            serializeResource(relatedModel, relatedType, relatedModel.idAttribute, relatedPath, context);
+
+            return { type: relatedType, id: String(relatedModel.id) };
+        };
+
+        resource.relationships = resource.relationships || {};
+
+        if (related.models){
+            resource.relationships[name] = { data: _map(related.models, identify) };
+        }
+        else {
+            resource.relationships[name] = { data: _isNil(related.id) ? null : identify(related) };
+        }
+    });
+
+    return resource;
+};
+
+/**
+ * Serializes the result of `fetchJsonApi` into a JSON API document, i.e.:
+ *
+ *      Person.forge().fetchJsonApi(params).then((people) => {
+ *
+ *          return toJsonApiDocument(people, { url: request.url });
+ *      });
+ *
+ * Primary data is typed and identified as resolved by `fetchJsonApi`, sparse
+ * fieldsets are applied to the attributes and every loaded relation is
+ * serialized into `included`. Paginated results get a `meta` object with the
+ * totals and, when the URL of the request is known, pagination links.
+ * @param   result {object|null}
+ *     A model or collection returned by `fetchJsonApi`
+ * @param   opts {object}
+ *     `url` is the URL of the request, used to build `links`. `type` and
+ *     `fields` override the ones `fetchJsonApi` resolved.
+ * @return  {object}
+ */
+const toJsonApiDocument = (result, opts = {}) => {
+
+    const fetched = (result && result.jsonApi) || {};
+    const model = result && (result.models ? result.model.prototype : result);
+    const type = opts.type || fetched.type || (model && resourceType(model));
+    const idAttribute = fetched.idAttribute || (model && model.idAttribute);
+    const context = { fields: opts.fields || fetched.fields || {}, resources: {}, included: [] };
+    const document = {};
+
+    if (!result){
+        document.data = null;
+    }
+    else if (result.models){
+        document.data = _map(result.models, (primary) => serializeResource(primary, type, idAttribute, '', context));
+    }
+    else {
+        document.data = serializeResource(result, type, idAttribute, '', context);
+    }
+
+    // Primary data is never repeated in `included`
+    const primaryKeys = _map([].concat(document.data || []), (resource) => `${resource.type}:${resource.id}`);
+    const included = _map(_uniq(_difference(context.included, primaryKeys)), (key) => context.resources[key]);
+
+    if (included.length){
+        document.included = included;
+    }
+
+    if (result && result.pagination && _has(result.pagination, 'rowCount')){
+        document.meta = {
+            total: result.pagination.rowCount,
+            pageCount: result.pagination.pageCount
+        };
+    }
+
+    if (opts.url){
+        document.links = _assign({ self: opts.url }, result && result.pagination ? paginationLinks(opts.url, result.pagination) : {});
+    }
+
+    return document;
+};
+
 /**
  * Exports a plugin to pass into the bookshelf instance, i.e.:
  *
@@ -38,560 +698,2892 @@ import Paginator from 'bookshelf-page';
  *      export default Bookshelf;
  *
  * The plugin attaches the `fetchJsonApi` instance method to
- * the Bookshelf Model object.
+ * the Bookshelf Model object. The `parseJsonApiQuery` and
+ * `toJsonApiDocument` helpers are exposed on the plugin itself.
  *
  * See methods below for details.
  */
-export default (Bookshelf, options = {}) => {
+const jsonApiParams = (Bookshelf, options = {}) => {
+
+    // Load the pagination plugin
+    Bookshelf.plugin(Paginator);
+
+    // Columns of each table, keyed by table name. Used to validate parameters
+    const columnInfoCache = {};
+
+    /**
+     * Returns a case insensitive `like` condition for a column. The column is
+     * cast to text so that partial matches work on non-text columns. Wildcards
+     * of the pattern are escaped with a backslash, see `escapeLike()`.
+     * @param   column {string}
+     * @param   pattern {string}
+     * @param   dialect {string}
+     * @return  {object}
+     */
+    const likeQuery = (column, pattern, dialect) => {
+
+        const textType = _includes(['mysql', 'mysql2', 'mssql'], dialect) ? 'char' : 'text';
+
+        return Bookshelf.knex.raw(`LOWER(CAST(:column: AS ${textType})) like LOWER(:pattern) escape :escape`, {
+            pattern,
+            column,
+            escape: '\\'
+        });
+    };
+
+    /**
+     * Adds a `where in` condition that also matches null when the list of
+     * values contains null or 'null'.
+     * @param   qb {object}
+     * @param   column {string}
+     * @param   values {array}
+     */
+    const whereIn = (qb, column, values) => {
+
+        if (values.find((val) => val === null || val === 'null') !== undefined){
+            values = values.filter((val) => val !== 'null' && val !== null);
+            qb.where((qbWhere) => {
+
+                qbWhere.whereNull(column);
+                if (!_isEmpty(values)){
+                    qbWhere.orWhereIn(column, values);
+                }
+            });
+        }
+        else {
+            qb.whereIn(column, values);
+        }
+    };
+
+    /**
+     * Adds a `where not in` condition that also excludes null when the list
+     * of values contains null or 'null'.
+     * @param   qb {object}
+     * @param   column {string}
+     * @param   values {array}
+     */
+    const whereNotIn = (qb, column, values) => {
+
+        if (values.find((val) => val === null || val === 'null') !== undefined) {
+            qb.whereNotNull(column);
+            values = values.filter((val) => val !== null && val !== 'null');
+        }
+        qb.whereNotIn(column, values);
+    };
+
+    /**
+     * Filter types available through `filter[type][attribute]=value`. Each one
+     * receives the query builder, the resolved column, the list of values
+     * (split on unescaped commas) and the name of the database client, and
+     * adds its conditions to the query builder.
+     */
+    const builtInOperators = {
+        like: (qb, column, values, dialect) => {
+
+            qb.where((qbWhere) => {
+
+                _forEach(values, (val) => qbWhere.orWhere(likeQuery(column, `%${escapeLike(val)}%`, dialect)));
+            });
+        },
+        notLike: (qb, column, values, dialect) => {
+
+            _forEach(values, (val) => qb.whereNot(likeQuery(column, `%${escapeLike(val)}%`, dialect)));
+        },
+        startsWith: (qb, column, values, dialect) => {
+
+            qb.where((qbWhere) => {
+
+                _forEach(values, (val) => qbWhere.orWhere(likeQuery(column, `${escapeLike(val)}%`, dialect)));
+            });
+        },
+        endsWith: (qb, column, values, dialect) => {
+
+            qb.where((qbWhere) => {
+
+                _forEach(values, (val) => qbWhere.orWhere(likeQuery(column, `%${escapeLike(val)}`, dialect)));
+            });
+        },
+        in: whereIn,
+        nin: whereNotIn,
+        not: whereNotIn,
+        between: (qb, column, values) => qb.whereBetween(column, values),
+        lt: (qb, column, values) => qb.where(column, '<', values[0]),
+        gt: (qb, column, values) => qb.where(column, '>', values[0]),
+        lte: (qb, column, values) => qb.where(column, '<=', values[0]),
+        gte: (qb, column, values) => qb.where(column, '>=', values[0]),
+        null: (qb, column, values) => {
+
+            // `filter[null][type]=false` is the same as `filter[notNull][type]`
+            qb[values[0] === false || values[0] === 'false' ? 'whereNotNull' : 'whereNull'](column);
+        },
+        notNull: (qb, column, values) => {
+
+            qb[values[0] === false || values[0] === 'false' ? 'whereNull' : 'whereNotNull'](column);
+        }
+    };
+
+    // Filter types registered through the plugin options extend or override the built-in ones
+    const operators = _assign({}, builtInOperators, options.operators);
+
+    // Numeric `page` parameters, mapped to their smallest allowed value. `number` and
+    // `size` are the JSON API names, the others are understood by bookshelf-page.
+    const pageParameters = { number: 1, size: 1, page: 1, pageSize: 1, limit: 1, offset: 0 };
+
+    // Page size used when neither the request nor the plugin defaults specify one
+    const defaultPageSize = 10;
+
+    // Column holding the morph value of each candidate row joined for a `morphTo` relation
+    const morphValueColumn = '_morph_value';
+
+    // Relation types whose records can be aggregated to sort by, i.e. `sort=-pets.count()`
+    const aggregatedRelationTypes = ['hasOne', 'hasMany', 'belongsToMany', 'morphOne', 'morphMany'];
+
+    // Attribute types inferred from the column types returned by `columnInfo()`. Knex creates
+    // booleans as `tinyint(1)`, which MySQL reports as `tinyint` without the display width.
+    const columnTypes = [
+        { type: 'boolean', pattern: /^(bool|tinyint\(1\))/ },
+        { type: 'boolean', pattern: /^tinyint$/, clients: ['mysql', 'mysql2'] },
+        { type: 'integer', pattern: /^(tiny|small|medium|big)?int(eger)?\b/ },
+        { type: 'number', pattern: /^(real|float|double|decimal|numeric)/ },
+        { type: 'date', pattern: /^(date|timestamp)/ }
+    ];
+
+    // Filter types whose values are compared with the attribute, and therefore coerced to its type
+    const coercedFilterTypes = ['in', 'nin', 'not', 'between', 'lt', 'gt', 'lte', 'gte'];
+
+    // Aggregate functions of the `fields` and `filter[having]` parameters, i.e. `count(id)`
+    const aggregatePattern = /^(count|sum|avg|max|min)\((.+)\)$/;
+
+    // Filter types of `filter[having]`, each returning the comparison of an aggregate
+    // with the values and the values it binds. Equality filters use `in`.
+    const havingOperators = {
+        not: (values) => [`not in (${_map(values, () => '?').join(', ')})`, values],
+        between: (values) => ['between ? and ?', values.slice(0, 2)],
+        lt: (values) => ['< ?', values.slice(0, 1)],
+        gt: (values) => ['> ?', values.slice(0, 1)],
+        lte: (values) => ['<= ?', values.slice(0, 1)],
+        gte: (values) => ['>= ?', values.slice(0, 1)]
+    };
+
+    // Sort value ordering the records by their relevance to `filter[search]`
+    const searchScore = '_score';
+
+    // Clients searched with the PostgreSQL full-text functions rather than `like` conditions
+    const fullTextClients = ['pg', 'postgres', 'postgresql'];
+
+    // Results are cached when the plugin is registered with the `cache` option
+    const cache = options.cache && _assign({ ttl: 60000 }, options.cache === true ? {} : options.cache);
+    const cacheStore = cache && (cache.store || memoryStore({ max: cache.max, ttl: cache.ttl }));
+
+    // Incremented when a record of a table is saved or destroyed, invalidating the cached results using it
+    const cacheGenerations = {};
+
+    if (cache){
+        const triggerThen = Bookshelf.Model.prototype.triggerThen;
+        const triggerCollectionThen = Bookshelf.Collection.prototype.triggerThen;
+        const invalidate = (tableName) => {
+
+            cacheGenerations[tableName] = (cacheGenerations[tableName] || 0) + 1;
+        };
+
+        Bookshelf.Model.prototype.triggerThen = function (events, ...args) {
+
+            if (_intersection(String(events).split(' '), ['saved', 'destroyed']).length){
+                invalidate(_result(this, 'tableName'));
+            }
+
+            return triggerThen.call(this, events, ...args);
+        };
+
+        // Attaching and detaching the records of a `belongsToMany` relation only changes its pivot table
+        Bookshelf.Collection.prototype.triggerThen = function (events, ...args) {
+
+            if (this.relatedData && _intersection(String(events).split(' '), ['attached', 'detached']).length){
+                invalidate(this.relatedData.joinTable());
+            }
+
+            return triggerCollectionThen.call(this, events, ...args);
+        };
+    }
+
+    /**
+     * Returns the hooks of an event, the ones registered with the plugin first and
+     * then the ones of the model's `jsonApiParams.hooks`.
+     * @param   model {Model}
+     * @param   event {string} `beforeJsonApiParse`, `beforeJsonApiQuery` or `afterJsonApiFetch`
+     * @return  {array}
+     */
+    const getHooks = (model, event) => {
+
+        return [(options.hooks || {})[event], ((model.jsonApiParams || {}).hooks || {})[event]];
+    };
+
+    /**
+     * Similar to {@link Model#fetch} and {@link Model#fetchAll}, but specifically
+     * uses parameters defined by the {@link https://jsonapi.org|JSON API spec} to
+     * build a query to further refine a result set.
+     *
+     * @param  opts {object}
+     *     Currently supports the `include`, `fields`, `sort`, `page` and `filter`
+     *     parameters from the {@link https://jsonapi.org|JSON API spec}. The
+     *     `context` option is passed to the lifecycle hooks.
+     * @param  type {string}
+     *     An optional string that specifies the type of resource being retrieved.
+     *     If not specified, type will default to the name of the table associated
+     *     with the model.
+     * @return {Promise<Model|Collection|Object|null>}
+     *     Resolves with a JSON API document when `opts.serialize` is set, and
+     *     with a description of the query when `opts.dryRun` is set.
+     *     See {@link Model#toJsonApiQuery}.
+     *     Rejects with a {@link JsonApiParamsError} if a parameter is invalid.
+     */
+    const fetchJsonApi = function (opts, isCollection = true, type, additionalQuery) {
+
+        opts = opts || {};
+
+        // Let the hooks rewrite or reject the parameters before they are parsed
+        return runHooks(getHooks(this, 'beforeJsonApiParse'), { opts, context: opts.context, model: this }, 'opts')
+            .then((parsedOpts) => queryJsonApi.call(this, parsedOpts || {}, isCollection, type, additionalQuery));
+    };
+
+    /**
+     * Builds and runs the query of {@link Model#fetchJsonApi} once the
+     * `beforeJsonApiParse` hooks have run.
+     * @param   opts {object}
+     * @param   isCollection {boolean}
+     * @param   type {string}
+     * @param   additionalQuery {function}
+     * @return  {Promise<Model|Collection|Object|null>}
+     */
+    const queryJsonApi = function (opts, isCollection, type, additionalQuery) {
+
+        const internals = {};
+
+        // Invalid parameters, and the columns and values to check once the columns of
+        // the tables are known, including the tables of `morphTo` candidates
+        internals.errors = [];
+        internals.columnChecks = [];
+        internals.valueChecks = [];
+        internals.morphTables = [];
+
+        // Included relation paths that passed the whitelist, the only ones resolved afterwards
+        internals.permittedIncludes = [];
+        const { fields, page = {} } = opts;
+
+        // The `include`, `sort` and `group` parameters also accept comma separated lists
+        const [include, sort, group] = _map([opts.include, opts.sort, opts.group], (value) => {
+
+            return typeof value === 'string' ? splitList(value) : value;
+        });
+
+        // Filters of included relationships, `filter[include][pets]`, apply to their own queries,
+        // `filter[search]` searches the `searchable` attributes of the model and `filter[having]`
+        // filters the aggregates of grouped records
+        const { include: includeFilters = {}, search, having = {}, ...filter } = opts.filter || {};
+        const filterGroups = ['and', 'or', 'not'];
+
+        // Get a reference to the field being used as the id
+        internals.idAttribute = this.constructor.prototype.idAttribute ?
+            this.constructor.prototype.idAttribute : 'id';
+
+        // Get a reference to the current model name. Note that if no type is
+        // explicitly passed, the tableName will be used
+        internals.modelName = type ? type : this.constructor.prototype.tableName;
+
+        // The JSON API type of the primary resource, used to key its sparse fieldset
+        internals.type = type ? type : resourceType(this);
+
+        // Used to determine which casting syntax is valid
+        internals.client = Bookshelf.knex.client.config.client;
+
+        // Keep the sparse fieldsets as requested, since building the query formats them
+        internals.requestedFields = _mapValues(fields, (fieldValues) => [].concat(fieldValues));
+
+        // Every word of the `filter[search]` parameter must be found in a searchable attribute
+        internals.searchTerms = _filter(_isNil(search) ? [] : [].concat(search).join(' ').split(/\s+/));
+
+        // Filter types registered on the model take precedence over the plugin ones
+        internals.operators = _assign({}, operators, (this.jsonApiParams || {}).operators);
+
+        // Initialize an instance of the current model and clone the initial query
+        internals.model =
+            this.constructor.forge().query((qb) => _assign(qb, this.query().clone()));
+
+        /**
+         * Build a query for relational dependencies of filtering, grouping and sorting
+         * @param   filterValues {object}
+         * @param   groupValues {object}
+         * @param   sortValues {object}
+         */
+        internals.buildDependencies = (filterValues, groupValues, sortValues) => {
+
+            const relationHash = {};
+            // Find relations in filterValues, unless they are filtered with `where exists` subqueries
+            if (_isObjectLike(filterValues) && !_isEmpty(filterValues) && options.filterStrategy !== 'exists'){
+
+                // Loop through each filter value, including the ones nested in groups
+                internals.forEachFilter(filterValues, (attribute) => {
+
+                    // Add relations to the relationHash
+                    if (attribute){
+                        internals.buildDependenciesHelper(attribute, relationHash);
+                    }
+                });
+            }
+
+            // Find relations in sortValues
+            if (_isObjectLike(sortValues) && !_isEmpty(sortValues)){
+
+                // Loop through each sort value
+                _forEach(sortValues, (value) => {
+
+                    // If the sort value is descending, remove the dash
+                    if (value.indexOf('-') === 0){
+                        value = value.substr(1);
+                    }
+
+                    // Relationship aggregates are joined as subqueries in `buildSort()`
+                    if (value === searchScore || internals.parseAggregateSort(value)){
+                        return;
+                    }
+
+                    // Add relations to the relationHash
+                    internals.buildDependenciesHelper(value, relationHash);
+                });
+            }
+
+            // Find relations in the searchable attributes
+            if (!_isEmpty(internals.searchTerms)){
+                _forEach(internals.getSearchable(), (path) => internals.buildDependenciesHelper(path, relationHash));
+            }
+
+            // Find relations in the aggregates of `filter[having]`, which are always joined
+            _forEach(internals.getHavingFilters(), ({ key }) => {
+
+                internals.buildDependenciesHelper(internals.stripAggregate(key), relationHash);
+            });
+
+            // Find relations in groupValues
+            if (_isObjectLike(groupValues) && !_isEmpty(groupValues)){
+
+                // Loop through each group value
+                _forEach(groupValues, (value) => {
+
+                    // Add relations to the relationHash
+                    internals.buildDependenciesHelper(value, relationHash);
+                });
+            }
+
+            // Need to select model.* so all of the relations are not returned, also check if there is anything in fields object
+            if (_keys(relationHash).length && internals.getFieldsKey('') === undefined){
+                internals.model.query((qb) => {
+                    qb.select(`${internals.modelName}.*`);
+                });
+            }
+            // Recurse on each of the relations in relationHash
+            _forIn(relationHash, (value, key) => {
+
+                return internals.queryRelations(value, key, this, internals.modelName);
+            });
+        };
+
+        /**
+         * Recursive funtion to add relationships to main query to allow filtering and sorting
+         * on relationships by using left outer joins
+         * @param   relation {object}
+         * @param   relationKey {string}
+         * @param   parent {object}
+         * @param   parentKey {string}
+         */
+        internals.queryRelations = (relation, relationKey, parentModel, parentKey) => {
+
+            // Add left outer joins for the relation
+            const joins = internals.getRelationJoins(relationKey, parentModel, parentKey);
+            const relatedData = internals.getRelatedData(relationKey, parentModel);
+
+            // Only `belongsTo` and `morphTo` relations join a single record to each parent
+            if (!_includes(['belongsTo', 'morphTo'], relatedData.type)){
+                internals.repeatsRows = true;
+            }
+
+            internals.model.query((qb) => {
+
+                _forEach(joins, (join) => {
+
+                    qb.leftOuterJoin(join.table, (qbJoin) => {
+
+                        _forEach(join.columns, ([first, second], index) => qbJoin[index ? 'andOn' : 'on'](first, '=', second));
+                    });
+
+                    _forEach(join.values, ([column, value]) => qb.where(column, '=', value));
+                });
+            });
+
+            if (!_keys(relation).length){
+                return;
+            }
+            _forIn(relation, (value, key) => {
+
+                return internals.queryRelations(value, key, internals.getRelatedModel(relationKey, parentModel), relationKey);
+            });
+        };
+
+        /**
+         * Applies the default scope of a model, the `scope` function of its `jsonApiParams`,
+         * to a query reading its table under the given name or alias. The scope is called
+         * with the query builder, the table and the `context` option.
+         * @param   qb {object}
+         * @param   model {object}
+         * @param   table {string}
+         * @return  {object} The query builder
+         */
+        internals.applyScope = (qb, model, table) => {
+
+            const scope = model && (model.jsonApiParams || {}).scope;
+
+            if (_isFunction(scope)){
+                scope.call(model, qb, table, opts.context);
+            }
+
+            return qb;
+        };
+
+        /**
+         * Returns the table of a related model to join under an alias. The table of a
+         * model with a default scope is replaced by a subquery of its scoped records, so
+         * the join keeps the related records out without dropping their parents.
+         * @param   model {object}
+         * @param   tableName {string}
+         * @param   alias {string}
+         * @return  {string|object}
+         */
+        internals.getScopedTable = (model, tableName, alias) => {
+
+            if (!_isFunction((model.jsonApiParams || {}).scope)){
+                return `${tableName} as ${alias}`;
+            }
+
+            return internals.applyScope(Bookshelf.knex.select(`${alias}.*`).from(`${tableName} as ${alias}`), model, alias).as(alias);
+        };
+
+        /**
+         * Returns the tables to join, in order, to go from a parent to the records of
+         * one of its relations, aliased with the relation name. Each join lists the
+         * pairs of `columns` it is joined on and the `values` its columns must equal.
+         * @param   relationKey {string}
+         * @param   parentModel {object}
+         * @param   parentKey {string}
+         * @return  {array}
+         */
+        internals.getRelationJoins = (relationKey, parentModel, parentKey) => {
+
+            const relatedData = internals.getRelatedData(relationKey, parentModel);
+            const relatedModel = internals.getRelatedModel(relationKey, parentModel);
+            const foreignKey = relatedData.foreignKey ? relatedData.foreignKey : `${inflection.singularize(relatedData.parentTableName)}_${relatedData.parentIdAttribute}`;
+
+            if (relatedData.type === 'hasOne' || relatedData.type === 'hasMany'){
+                return [{
+                    table: internals.getScopedTable(relatedModel, relatedData.targetTableName, relationKey),
+                    columns: [[`${parentKey}.${relatedData.parentIdAttribute}`, `${relationKey}.${foreignKey}`]]
+                }];
+            }
+
+            if (relatedData.type === 'belongsTo'){
+                if (relatedData.throughTableName){
+                    const throughTableAlias = `${relationKey}_${relatedData.throughTableName}_pivot`;
+
+                    return [{
+                        table: `${relatedData.throughTableName} as ${throughTableAlias}`,
+                        columns: [[`${parentKey}.${relatedData.parentIdAttribute}`, `${throughTableAlias}.${relatedData.throughIdAttribute}`]]
+                    }, {
+                        table: internals.getScopedTable(relatedModel, relatedData.targetTableName, relationKey),
+                        columns: [[`${throughTableAlias}.${foreignKey}`, `${relationKey}.${relatedData.targetIdAttribute}`]]
+                    }];
+                }
+
+                return [{
+                    table: internals.getScopedTable(relatedModel, relatedData.targetTableName, relationKey),
+                    columns: [[`${parentKey}.${foreignKey}`, `${relationKey}.${relatedData.targetIdAttribute}`]]
+                }];
+            }
+
+            if (relatedData.type === 'belongsToMany'){
+                const otherKey = relatedData.otherKey ? relatedData.otherKey : `${inflection.singularize(relatedData.targetTableName)}_id`;
+                const joinTableName = relatedData.joinTableName ? relatedData.joinTableName : relatedData.throughTableName;
+
+                return [{
+                    table: `${joinTableName} as ${relationKey}_${joinTableName}`,
+                    columns: [[`${parentKey}.${relatedData.parentIdAttribute}`, `${relationKey}_${joinTableName}.${foreignKey}`]]
+                }, {
+                    table: internals.getScopedTable(relatedModel, relatedData.targetTableName, relationKey),
+                    columns: [[`${relationKey}_${joinTableName}.${otherKey}`, `${relationKey}.${relatedData.targetIdAttribute}`]]
+                }];
+            }
+
+            // Get the morph type and id
+            const columnNames = relatedData.columnNames || [];
+            const morphType = columnNames[0] ? columnNames[0] : `${relatedData.morphName}_type`;
+            const morphId = columnNames[1] ? columnNames[1] : `${relatedData.morphName}_id`;
+
+            if (relatedData.type === 'morphOne' || relatedData.type === 'morphMany'){
+                return [{
+                    table: internals.getScopedTable(relatedModel, relatedData.targetTableName, relationKey),
+                    columns: [[`${relationKey}.${morphId}`, `${parentKey}.${relatedData.parentIdAttribute}`]],
+                    values: [[`${relationKey}.${morphType}`, relatedData.morphValue]]
+                }];
+            }
+
+            // Join the union of the candidate tables, each row tagged with the morph
+            // value of its table, on both the morph id and the morph type. Every candidate
+            // selects the columns of all of them, null for the ones its table doesn't have.
+            const candidateTables = _map(relatedData.candidates, (candidate) => _result(candidate[0].prototype, 'tableName'));
+            const candidateColumns = _union(..._map(candidateTables, (tableName) => _keys(internals.columnsByTable[tableName])));
+            const candidateIdAttribute = relatedData.candidates[0][0].prototype.idAttribute || 'id';
+            const candidateQueries = _map(relatedData.candidates, (candidate, index) => {
+
+                const columns = internals.columnsByTable[candidateTables[index]];
+                const query = Bookshelf.knex(candidateTables[index])
+                    .select(Bookshelf.knex.raw('? as ??', [candidate[1], morphValueColumn]))
+                    .select(candidateColumns.length ? _map(candidateColumns, (column) => {
+
+                        return _isEmpty(columns) || _has(columns, column) ? column : Bookshelf.knex.raw('null as ??', [column]);
+                    }) : '*');
+
+                return internals.applyScope(query, relatedModel.morphCandidates[index], candidateTables[index]);
+            });
+
+            const candidateUnion = _reduce(candidateQueries.slice(1), (union, query) => union.unionAll(query), candidateQueries[0]);
+
+            return [{
+                table: candidateUnion.as(relationKey),
+                columns: [
+                    [`${relationKey}.${candidateIdAttribute}`, `${parentKey}.${morphId}`],
+                    [`${relationKey}.${morphValueColumn}`, `${parentKey}.${morphType}`]
+                ]
+            }];
+        };
+
+        /**
+         * Adds a correlated `where exists` subquery selecting the records of a chain of
+         * relations, i.e. `['pets', 'toy']`, on which `apply` adds its conditions. Used
+         * by the `exists` filter strategy, which leaves the rows of the main query
+         * untouched where joins would repeat them for every related record.
+         * @param   qb {object}
+         * @param   relations {array}
+         * @param   apply {function}
+         * @param   parentModel {object}
+         * @param   parentKey {string}
+         */
+        internals.whereRelationExists = (qb, relations, apply, parentModel = this, parentKey = internals.modelName) => {
+
+            const [relationKey, ...nestedRelations] = relations;
+            const [source, ...joins] = internals.getRelationJoins(relationKey, parentModel, parentKey);
+
+            qb.whereExists((qbExists) => {
+
+                qbExists.select(Bookshelf.knex.raw('1')).from(source.table);
+
+                _forEach(source.columns, ([first, second]) => qbExists.whereRaw('?? = ??', [first, second]));
+
+                _forEach(joins, (join) => {
+
+                    qbExists.innerJoin(join.table, (qbJoin) => {
+
+                        _forEach(join.columns, ([first, second], index) => qbJoin[index ? 'andOn' : 'on'](first, '=', second));
+                    });
+                });
+
+                _forEach([source].concat(joins), (join) => {
+
+                    _forEach(join.values, ([column, value]) => qbExists.where(column, '=', value));
+                });
+
+                if (nestedRelations.length){
+                    return internals.whereRelationExists(qbExists, nestedRelations, apply, internals.getRelatedModel(relationKey, parentModel), relationKey);
+                }
+
+                apply(qbExists);
+            });
+        };
+
+        /**
+         * Adds relations included in the key to the relationHash, used in buildDependencies
+         * @param   key {string}
+         * @param   relationHash {object}
+         */
+        internals.buildDependenciesHelper = (key, relationHash) => {
+
+            // The attribute, and the path inside of a JSON column, are not tables. Do not include them in relationHash
+            const { relations } = internals.splitPath(key);
+
+            if (relations.length){
+                key = relations.join('.');
+                if (!_has(relationHash, key)){
+                    let level = relationHash;
+                    let relationModel = this.clone();
+
+                    // Traverse the relationHash object and set new relation if it does not exist
+                    _forEach(relations, (relation) => {
+
+                        // Set relation model to the next item in the chain
+                        relationModel = internals.getRelatedModel(relation, relationModel);
+
+                        // Check if valid relationship
+                        if (!relationModel){
+                            return false;
+                        }
+
+                        if (!level[relation]){
+                            level[relation] = {};
+                        }
+                        level = level[relation];
+                    });
+                }
+            }
+        };
+
+        /**
+         * Returns a new instance of the model targeted by the specified relation,
+         * or null if the relation is not defined on the model.
+         * @param   relationName {string}
+         * @param   model {object}
+         * @return  {object|null}
+         */
+        internals.getRelatedModel = (relationName, model) => {
+
+            const relatedData = internals.getRelatedData(relationName, model);
+
+            if (!relatedData){
+                return null;
+            }
+
+            // Paths through a polymorphic relation are resolved against its first candidate,
+            // which keeps track of the others so their columns can be checked as well
+            if (relatedData.type === 'morphTo'){
+                const candidates = _map(relatedData.candidates, (candidate) => candidate[0].forge());
+
+                _forEach(candidates, (candidate) => internals.morphTables.push(candidate.tableName));
+
+                if (candidates.length){
+                    candidates[0].morphCandidates = candidates;
+                }
+
+                return candidates[0] || null;
+            }
+
+            return relatedData.target ? relatedData.target.forge() : null;
+        };
+
+        /**
+         * Returns the `relatedData` of the specified relation, or null if the relation
+         * is not defined on the model. A `morphTo` relation resolves its target from the
+         * morph type of a fetched record, except while eager loading, so the model is
+         * flagged as eager loading to read the relation of a model that wasn't fetched.
+         * Methods of Bookshelf models, i.e. `destroy`, are never relations, and never called.
+         * @param   relationName {string}
+         * @param   model {object}
+         * @return  {object|null}
+         */
+        internals.getRelatedData = (relationName, model) => {
+
+            if (typeof model[relationName] !== 'function' || relationName in Bookshelf.Model.prototype){
+                return null;
+            }
+
+            const isEager = model._isEager;
+            let relation;
+
+            model._isEager = true;
+
+            try {
+                relation = model[relationName]();
+            }
+            finally {
+                model._isEager = isEager;
+            }
+
+            if (!relation || !relation.relatedData || !relation.relatedData.type){
+                return null;
+            }
+
+            return relation.relatedData;
+        };
+
+        /**
+         * Determines if an attribute or relation path may be used for the specified
+         * parameter according to the `jsonApiParams` whitelists declared on the model.
+         * A whitelist may contain full paths (`pets.name`) or relation names (`pets`).
+         * When the path goes through a relation that is not explicitly listed, the
+         * remainder of the path is checked against the related model's whitelist.
+         * Models without a whitelist for the setting allow everything.
+         * @param   setting {string}
+         * @param   path {string}
+         * @param   model {object}
+         * @return  {boolean}
+         */
+        internals.isPermitted = (setting, path, model = this) => {
+
+            const config = model.jsonApiParams || {};
+            const whitelist = _isArray(config[setting]) ? config[setting] : null;
+
+            if (whitelist && _includes(whitelist, path)){
+                return true;
+            }
+
+            if (!_includes(path, '.')){
+                return !whitelist;
+            }
+
+            const relationName = path.substring(0, path.indexOf('.'));
+
+            // Listing a JSON column allows every path inside of it
+            if (internals.isJsonColumn(model, relationName)){
+                return !whitelist || _includes(whitelist, relationName);
+            }
+
+            if (whitelist && !_includes(whitelist, relationName)){
+                return false;
+            }
+
+            const relatedModel = internals.getRelatedModel(relationName, model);
+
+            if (!relatedModel){
+                return !whitelist;
+            }
+
+            return internals.isPermitted(setting, path.substring(path.indexOf('.') + 1), relatedModel);
+        };
+
+        /**
+         * Strips an aggregate function from a column, i.e. `count(id)` becomes `id`
+         * @param   column {string}
+         * @return  {string}
+         */
+        internals.stripAggregate = (column) => {
+
+            const match = aggregatePattern.exec(column);
+
+            return match ? match[2] : column;
+        };
+
+        /**
+         * Parses an aggregate of an attribute, i.e. `count(id)`. Returns null for
+         * any other value.
+         * @param   value {string}
+         * @return  {object|null}
+         */
+        internals.parseAggregate = (value) => {
+
+            const match = aggregatePattern.exec(value);
+
+            return match ? { aggregateFunction: match[1], attribute: match[2] } : null;
+        };
+
+        /**
+         * Parses a sort key aggregating a relationship, i.e. `pets.count()` or
+         * `max(pets.age)`. Returns null for any other sort key.
+         * @param   value {string}
+         * @return  {object|null}
+         */
+        internals.parseAggregateSort = (value) => {
+
+            const countMatch = /^(.+)\.count\(\)$/.exec(value);
+            const match = countMatch ? null : /^(count|sum|avg|max|min)\((.+)\.([^.]+)\)$/.exec(value);
+
+            if (countMatch){
+                return { aggregateFunction: 'count', relation: countMatch[1], attribute: null };
+            }
+
+            return match ? { aggregateFunction: match[1], relation: match[2], attribute: match[3] } : null;
+        };
+
+        /**
+         * Validates a sort key aggregating a relationship. Only to-many relationships,
+         * and `hasOne` ones, of the model itself can be aggregated.
+         * @param   path {string}
+         * @param   aggregate {object}
+         */
+        internals.validateAggregateSort = (path, aggregate) => {
+
+            const relatedData = internals.getRelatedData(aggregate.relation, this);
+
+            if (!relatedData || relatedData.isThrough() || !_includes(aggregatedRelationTypes, relatedData.type)){
+                return internals.reportError({
+                    code: 'INVALID_SORT_PARAMETER',
+                    title: 'Invalid sort parameter',
+                    detail: `"${path}" does not aggregate a to-many relationship of "${internals.modelName}"`,
+                    parameter: 'sort'
+                });
+            }
+
+            if (aggregate.attribute){
+                return internals.validateAttribute('sortable', 'sort', `${aggregate.relation}.${aggregate.attribute}`);
+            }
+
+            if (!internals.isPermitted('sortable', aggregate.relation)){
+                internals.reportError({
+                    code: 'PARAMETER_NOT_ALLOWED',
+                    title: 'Parameter not allowed',
+                    detail: `"${path}" is not an allowed value for the \`sort\` parameter`,
+                    parameter: 'sort'
+                });
+            }
+        };
+
+        /**
+         * Records an invalid parameter. Unless the plugin was registered with
+         * `collectErrors`, the error is thrown right away.
+         * @param   error {object}
+         */
+        internals.reportError = (error) => {
+
+            if (!options.collectErrors){
+                throw new JsonApiParamsError(error);
+            }
+
+            internals.errors.push(error);
+        };
+
+        /**
+         * Walks a chain of relation names, i.e. `['pets', 'toy']`, and returns the
+         * model targeted by the last one. Reports an error and returns null if a
+         * relation does not exist.
+         * @param   relations {array}
+         * @param   parameter {string}
+         * @param   model {object}
+         * @return  {object|null}
+         */
+        internals.resolveRelations = (relations, parameter, model = this) => {
+
+            for (let i = 0; i < relations.length; ++i) {
+                const relatedModel = internals.getRelatedModel(relations[i], model);
+
+                if (!relatedModel){
+                    internals.reportError({
+                        code: 'UNKNOWN_RELATION',
+                        title: 'Invalid relationship',
+                        detail: `"${relations.slice(0, i + 1).join('.')}" is not a relationship of "${internals.modelName}"`,
+                        parameter
+                    });
+
+                    return null;
+                }
+
+                model = relatedModel;
+            }
+
+            return model;
+        };
+
+        /**
+         * Resolves the relations of an attribute path, i.e. `pets.toy.type`, and
+         * returns the model targeted by the last relation along with the formatted
+         * column name. Returns null if a relation does not exist.
+         * @param   path {string}
+         * @param   parameter {string}
+         * @param   model {object}
+         * @return  {object|null}
+         */
+        internals.resolveAttribute = (path, parameter, model = this) => {
+
+            const { relations, attribute, jsonPath } = internals.splitPath(path, model);
+
+            model = internals.resolveRelations(relations, parameter, model);
+
+            return model ? { model, attribute, jsonPath, column: internals.formatColumnCollection([attribute])[0] } : null;
+        };
+
+        /**
+         * Splits an attribute path into its relations, its attribute and, when the
+         * attribute is a JSON column, the keys of the path inside of it. For example,
+         * `pets.metadata.color` becomes `{ relations: ['pets'], attribute: 'metadata',
+         * jsonPath: ['color'] }` if `metadata` is a JSON column of the pet model.
+         * @param   path {string}
+         * @param   model {object}
+         * @return  {object}
+         */
+        internals.splitPath = (path, model = this) => {
+
+            const segments = path.split('.');
+            let index = 0;
+
+            // Allow columns to be qualified with the name of the top level table
+            if (segments.length > 1 && model === this &&
+                (segments[0] === internals.modelName || segments[0] === this.tableName) &&
+                !internals.getRelatedModel(segments[0], model)){
+
+                segments.shift();
+            }
+
+            while (index < segments.length - 1 && !(model && internals.isJsonColumn(model, segments[index]))){
+                model = model && internals.getRelatedModel(segments[index], model);
+                ++index;
+            }
+
+            return { relations: segments.slice(0, index), attribute: segments[index], jsonPath: segments.slice(index + 1) };
+        };
+
+        /**
+         * Determines if an attribute of a model is declared in its `jsonColumns`.
+         * @param   model {object}
+         * @param   attribute {string}
+         * @return  {boolean}
+         */
+        internals.isJsonColumn = (model, attribute) => {
+
+            return _includes((model.jsonApiParams || {}).jsonColumns, attribute);
+        };
+
+        /**
+         * Returns the expression extracting a path of a JSON column as text:
+         * `->` and `->>` on PostgreSQL, `json_extract` on the other clients.
+         * @param   model {object}
+         * @param   attribute {string}
+         * @param   jsonPath {array}
+         * @param   table {string}
+         * @return  {object}
+         */
+        internals.getJsonColumn = (model, attribute, jsonPath, table) => {
+
+            const column = `${table}.${_keys(model.format({ [attribute]: undefined }))[0]}`;
+
+            if (_includes(fullTextClients, internals.client)){
+                const arrows = _map(jsonPath, (key, index) => {
+
+                    const operator = index === jsonPath.length - 1 ? '->>' : '->';
+
+                    // Array indexes are numbers, object keys are bound as strings
+                    return /^\d+$/.test(key) ? `${operator}${key}` : `${operator}?`;
+                });
+
+                return Bookshelf.knex.raw(`(??${arrows.join('')})`, [column].concat(_filter(jsonPath, (key) => !/^\d+$/.test(key))));
+            }
+
+            // Object keys other than plain identifiers are quoted, i.e. `$."shoe size"`
+            const selector = _reduce(jsonPath, (result, key) => {
+
+                if (/^\d+$/.test(key)){
+                    return `${result}[${key}]`;
+                }
+
+                return /^[a-z_]\w*$/i.test(key) ? `${result}.${key}` : `${result}."${key}"`;
+            }, '$');
+
+            if (_includes(['mysql', 'mysql2'], internals.client)){
+                return Bookshelf.knex.raw('json_unquote(json_extract(??, ?))', [column, selector]);
+            }
+
+            return Bookshelf.knex.raw(`${internals.client === 'mssql' ? 'json_value' : 'json_extract'}(??, ?)`, [column, selector]);
+        };
+
+        /**
+         * Returns the SQL expression of an attribute of a model that isn't a plain
+         * column, i.e. a computed attribute or a path into a JSON column, or null.
+         * @param   model {object}
+         * @param   path {string}
+         * @param   table {string}
+         * @return  {object|null}
+         */
+        internals.getAttributeExpression = (model, path, table) => {
+
+            const [attribute, ...jsonPath] = path.split('.');
+
+            if (jsonPath.length && internals.isJsonColumn(model, attribute)){
+                return internals.getJsonColumn(model, attribute, jsonPath, table);
+            }
+
+            return internals.getComputedColumn(model, path, table);
+        };
+
+        /**
+         * Returns the SQL expression of a computed attribute declared in the
+         * `jsonApiParams.computed` of a model, or null if the attribute isn't computed.
+         * An expression is either a string, in which `{table}` stands for the table
+         * or alias the attribute is read from, or a function of the table and the
+         * database client returning a string or a raw query. Expressions may also
+         * be given per client, with a `default` one for the other clients.
+         * @param   model {object}
+         * @param   attribute {string}
+         * @param   table {string}
+         * @return  {object|null}
+         */
+        internals.getComputedColumn = (model, attribute, table) => {
+
+            const computed = (model.jsonApiParams || {}).computed;
+            let expression = computed && _has(computed, attribute) ? computed[attribute] : null;
+
+            if (_isPlainObject(expression)){
+                expression = _has(expression, internals.client) ? expression[internals.client] : expression.default;
+            }
+
+            if (_isFunction(expression)){
+                expression = expression(table, internals.client);
+            }
+
+            if (!expression){
+                return null;
+            }
+
+            // Parenthesized so that the expression can be compared, sorted and aggregated
+            return typeof expression === 'string' ?
+                Bookshelf.knex.raw(`(${expression.replace(/\{table\}/g, table)})`) :
+                Bookshelf.knex.raw('(?)', [expression]);
+        };
+
+        /**
+         * Resolves an attribute path of the main query, i.e. `pets.ageInMonths` or
+         * `pets.metadata.color`, to the expression of a computed attribute or of a
+         * path into a JSON column, or null if it is a plain column.
+         * @param   path {string}
+         * @return  {object|null}
+         */
+        internals.getPathExpression = (path) => {
+
+            if (typeof path !== 'string'){
+                return null;
+            }
+
+            const { relations, attribute, jsonPath } = internals.splitPath(path);
+            const model = _reduce(relations, (parent, relation) => parent && internals.getRelatedModel(relation, parent), this);
+
+            return model && internals.getAttributeExpression(
+                model,
+                [attribute].concat(jsonPath).join('.'),
+                relations.length ? _last(relations) : internals.modelName
+            );
+        };
+
+        /**
+         * Returns the name an expression is selected under: the formatted attribute,
+         * followed by the path inside of a JSON column, i.e. `metadata.color`.
+         * @param   model {object}
+         * @param   path {string}
+         * @return  {string}
+         */
+        internals.formatAlias = (model, path) => {
+
+            const [attribute, ...jsonPath] = path.split('.');
+
+            return [_keys(model.format({ [attribute]: undefined }))[0]].concat(jsonPath).join('.');
+        };
+
+        /**
+         * Selects an expression under an alias. The alias is quoted as a whole, as
+         * it may contain dots.
+         * @param   expression {object}
+         * @param   alias {string}
+         * @return  {object}
+         */
+        internals.selectExpression = (expression, alias) => {
+
+            return Bookshelf.knex.raw(`? as ${Bookshelf.knex.client.wrapIdentifier(alias)}`, [expression]);
+        };
+
+        /**
+         * Determines if an attribute of a model is computed, whether or not it has
+         * an expression for the current database client.
+         * @param   model {object}
+         * @param   attribute {string}
+         * @return  {boolean}
+         */
+        internals.isComputed = (model, attribute) => {
+
+            return _has((model.jsonApiParams || {}).computed, attribute);
+        };
+
+        /**
+         * Validates an attribute path used by a parameter against the model whitelist
+         * and its relations. Aggregates are checked by the attribute they aggregate.
+         * Column names are checked later, once the columns of each table are known.
+         * @param   setting {string}
+         * @param   parameter {string}
+         * @param   path {string}
+         * @param   model {object}
+         */
+        internals.validateAttribute = (setting, parameter, path, model = this) => {
+
+            if (!internals.isPermitted(setting, internals.stripAggregate(path), model)){
+                return internals.reportError({
+                    code: 'PARAMETER_NOT_ALLOWED',
+                    title: 'Parameter not allowed',
+                    detail: `"${path}" is not an allowed value for the \`${parameter.split('[')[0]}\` parameter`,
+                    parameter
+                });
+            }
+
+            internals.checkAttribute(parameter, path, model);
+        };
+
+        /**
+         * Validates that an attribute path resolves to a column or a computed
+         * attribute, regardless of whitelists.
+         * @param   parameter {string}
+         * @param   path {string}
+         * @param   model {object}
+         */
+        internals.checkAttribute = (parameter, path, model = this) => {
+
+            const attribute = internals.resolveAttribute(internals.stripAggregate(path), parameter, model);
+
+            // Keys inside JSON columns are quoted in path selectors, in which not every client can escape quotes
+            if (attribute && _some(attribute.jsonPath, (key) => key === '' || /["\\]/.test(key))){
+                return internals.reportError({
+                    code: 'UNKNOWN_ATTRIBUTE',
+                    title: 'Invalid attribute',
+                    detail: `"${path}" is not a valid path inside the "${attribute.attribute}" JSON column`,
+                    parameter
+                });
+            }
+
+            // Computed attributes have no column, they only need an expression for the client
+            if (attribute && _isEmpty(attribute.jsonPath) && internals.isComputed(attribute.model, attribute.attribute)){
+                if (!internals.getComputedColumn(attribute.model, attribute.attribute, attribute.model.tableName)){
+                    internals.reportError({
+                        code: 'UNSUPPORTED_ATTRIBUTE',
+                        title: 'Unsupported attribute',
+                        detail: `"${path}" cannot be computed with the "${internals.client}" client`,
+                        parameter
+                    });
+                }
+            }
+            // The attributes of a `morphTo` relation belong to any of its candidates
+            else if (attribute){
+                internals.columnChecks.push(_assign({}, attribute, { models: attribute.model.morphCandidates || [attribute.model], path, parameter }));
+            }
+        };
+
+        /**
+         * Validates a relation path used by the `include` parameter.
+         * @param   path {string}
+         */
+        internals.validateInclude = (path) => {
+
+            if (!internals.isPermitted('includable', path)){
+                return internals.reportError({
+                    code: 'PARAMETER_NOT_ALLOWED',
+                    title: 'Parameter not allowed',
+                    detail: `"${path}" is not an allowed value for the \`include\` parameter`,
+                    parameter: 'include'
+                });
+            }
+
+            internals.permittedIncludes.push(path);
+            internals.resolveRelations(path.split('.'), 'include');
+        };
+
+        /**
+         * Fetches the columns of a table through {@link Knex#columnInfo}. Results
+         * are cached for the lifetime of the plugin.
+         * @param   tableName {string}
+         * @return  {Promise<object>}
+         */
+        internals.getColumnInfo = (tableName) => {
+
+            if (!_has(columnInfoCache, tableName)){
+                columnInfoCache[tableName] = Promise.resolve(Bookshelf.knex(tableName).columnInfo())
+                    .catch(() => {
+
+                        delete columnInfoCache[tableName];
+                        return {};
+                    });
+            }
+
+            return columnInfoCache[tableName];
+        };
+
+        /**
+         * Validates the operators, attributes and values of a filter object. Filters
+         * of an included relationship may only use attributes of that relationship.
+         * @param   filterValues {object}
+         * @param   parameter {string}
+         * @param   model {object}
+         */
+        internals.validateFilters = (filterValues, parameter, model = this) => {
+
+            internals.forEachFilter(filterValues, (attribute, filterType, value, attributeParameter) => {
+
+                if (!attribute){
+                    return internals.reportError({
+                        code: 'INVALID_FILTER_OPERATOR',
+                        title: 'Invalid filter operator',
+                        detail: `"${filterType}" is not a supported filter operator`,
+                        parameter: attributeParameter
+                    });
+                }
+
+                if (model !== this && !_isEmpty(internals.splitPath(attribute, model).relations)){
+                    return internals.reportError({
+                        code: 'INVALID_INCLUDE_FILTER',
+                        title: 'Invalid include filter',
+                        detail: `"${attribute}" is not an attribute of the included relationship`,
+                        parameter: attributeParameter
+                    });
+                }
+
+                internals.validateAttribute('filterable', attributeParameter, attribute, model);
+
+                // Values are checked once the column types are known
+                internals.valueChecks.push({ path: attribute, filterType, value, parameter: attributeParameter, model });
+
+                if (filterType === 'between' && internals.splitFilterValue(value).length !== 2){
+                    internals.reportError({
+                        code: 'INVALID_FILTER_VALUE',
+                        title: 'Invalid filter value',
+                        detail: `The "between" filter on "${attribute}" requires two comma separated values`,
+                        parameter: attributeParameter
+                    });
+                }
+            }, parameter);
+        };
+
+        /**
+         * Validates the `filter[search]` parameter against the `searchable` attributes
+         * declared by the model.
+         */
+        internals.validateSearch = () => {
+
+            if (_isNil(search)){
+                return;
+            }
+
+            if (_isEmpty(internals.getSearchable())){
+                return internals.reportError({
+                    code: 'PARAMETER_NOT_ALLOWED',
+                    title: 'Parameter not allowed',
+                    detail: `"${internals.modelName}" does not declare any searchable attribute`,
+                    parameter: 'filter[search]'
+                });
+            }
+
+            _forEach(internals.getSearchable(), (path) => internals.checkAttribute('filter[search]', path));
+        };
+
+        /**
+         * Returns the filters of the `filter[having]` parameter, each with the aggregate
+         * it filters, its filter type (null for equality filters), value and parameter.
+         * @return  {array}
+         */
+        internals.getHavingFilters = () => {
+
+            return _flatMap(having, (value, key) => {
+
+                if (!_isPlainObject(value)){
+                    return [{ key, filterType: null, value, parameter: `filter[having][${key}]` }];
+                }
+
+                return _map(value, (typeValue, typeKey) => {
+
+                    return { key: typeKey, filterType: key, value: typeValue, parameter: `filter[having][${key}][${typeKey}]` };
+                });
+            });
+        };
+
+        /**
+         * Validates the `filter[having]` parameter. Only aggregates of the attributes
+         * of grouped records can be filtered, with comparison filter types. The
+         * `filterable` whitelist applies to the aggregated attribute.
+         */
+        internals.validateHaving = () => {
+
+            _forEach(internals.getHavingFilters(), ({ key, filterType, value, parameter }) => {
+
+                if (filterType && !_has(havingOperators, filterType)){
+                    return internals.reportError({
+                        code: 'INVALID_FILTER_OPERATOR',
+                        title: 'Invalid filter operator',
+                        detail: `"${filterType}" is not a supported operator of \`filter[having]\``,
+                        parameter
+                    });
+                }
+
+                if (!internals.parseAggregate(key)){
+                    return internals.reportError({
+                        code: 'INVALID_HAVING_FILTER',
+                        title: 'Invalid having filter',
+                        detail: `"${key}" is not an aggregate of an attribute, i.e. "count(id)"`,
+                        parameter
+                    });
+                }
+
+                if (_isEmpty(group)){
+                    return internals.reportError({
+                        code: 'INVALID_HAVING_FILTER',
+                        title: 'Invalid having filter',
+                        detail: 'Filtering aggregates requires the `group` parameter',
+                        parameter
+                    });
+                }
+
+                internals.validateAttribute('filterable', parameter, key);
+
+                // Values are checked once the column types are known
+                internals.valueChecks.push({ path: key, filterType, value, parameter, model: this });
+
+                if (filterType === 'between' && internals.splitFilterValue(value).length !== 2){
+                    internals.reportError({
+                        code: 'INVALID_FILTER_VALUE',
+                        title: 'Invalid filter value',
+                        detail: `The "between" filter on "${key}" requires two comma separated values`,
+                        parameter
+                    });
+                }
+            });
+        };
+
+        /**
+         * Validates every parameter before the query is built: filter operators,
+         * relations, whitelists and column names. Resolves once the parameters are
+         * valid, or rejects with a {@link JsonApiParamsError}.
+         * @return  {Promise}
+         */
+        internals.validateParameters = () => {
+
+            return Promise.try(() => {
+
+                internals.validateFilters(filter, 'filter');
+
+                _forEach(include, (relation) => {
+
+                    if (typeof relation !== 'string' && !_isPlainObject(relation)){
+                        return internals.reportError({
+                            code: 'INVALID_INCLUDE_PARAMETER',
+                            title: 'Invalid include parameter',
+                            detail: `${JSON.stringify(relation)} is not a relationship path`,
+                            parameter: 'include'
+                        });
+                    }
+
+                    _forEach(_isObjectLike(relation) ? _keys(relation) : [relation], internals.validateInclude);
+                });
+
+                // Relation paths rejected by a whitelist are never resolved
+                const includePaths = internals.getIncludePaths(internals.permittedIncludes);
+
+                _forOwn(includeFilters, (filterValues, path) => {
+
+                    const parameter = `filter[include][${path}]`;
+                    const model = _includes(includePaths, path) && internals.getIncludeModel(path);
+
+                    if (!model){
+                        return internals.reportError({
+                            code: 'INVALID_INCLUDE_FILTER',
+                            title: 'Invalid include filter',
+                            detail: `"${path}" is not an included relationship`,
+                            parameter
+                        });
+                    }
+
+                    internals.validateFilters(filterValues, parameter, model);
+                });
+
+                internals.validateSearch();
+
+                internals.validateHaving();
+
+                _forEach(sort, (value) => {
+
+                    if (typeof value !== 'string'){
+                        return internals.reportError({
+                            code: 'INVALID_SORT_PARAMETER',
+                            title: 'Invalid sort parameter',
+                            detail: `${JSON.stringify(value)} is not an attribute path`,
+                            parameter: 'sort'
+                        });
+                    }
+
+                    const path = value[0] === '-' ? value.substring(1) : value;
+                    const aggregate = internals.parseAggregateSort(path);
+
+                    if (path === searchScore){
+                        return _isEmpty(internals.searchTerms) && internals.reportError({
+                            code: 'INVALID_SORT_PARAMETER',
+                            title: 'Invalid sort parameter',
+                            detail: `Sorting by "${searchScore}" requires the \`filter[search]\` parameter`,
+                            parameter: 'sort'
+                        });
+                    }
+
+                    if (aggregate){
+                        return internals.validateAggregateSort(path, aggregate);
+                    }
+
+                    internals.validateAttribute('sortable', 'sort', path);
+                });
+
+                _forEach(group, (value) => {
+
+                    if (typeof value !== 'string'){
+                        return internals.reportError({
+                            code: 'INVALID_GROUP_PARAMETER',
+                            title: 'Invalid group parameter',
+                            detail: `${JSON.stringify(value)} is not an attribute path`,
+                            parameter: 'group'
+                        });
+                    }
+
+                    internals.validateAttribute('groupable', 'group', value);
+                });
+
+                internals.validatePage();
+
+                internals.validateCursor();
+
+                // Fields are checked against every model they apply to
+                const fieldsPaths = [''].concat(includePaths);
+                const fieldsChecks = {};
+
+                _forEach(fieldsPaths, (path) => {
+
+                    const fieldKey = internals.getFieldsKey(path);
+                    const model = path ? internals.getIncludeModel(path) : this;
+
+                    if (fieldKey === undefined || !model || fieldsChecks[`${fieldKey}:${model.tableName}`]){
+                        return;
+                    }
+
+                    fieldsChecks[`${fieldKey}:${model.tableName}`] = true;
+
+                    _forEach(internals.requestedFields[fieldKey], (value) => {
+
+                        internals.validateAttribute('fields', `fields[${fieldKey}]`, value, model);
+                    });
+                });
+
+                _forEach(_keys(internals.requestedFields), (fieldKey) => {
+
+                    if (!_some(fieldsPaths, (path) => _includes(internals.getFieldsKeys(path), fieldKey))){
+                        internals.reportError({
+                            code: 'UNKNOWN_TYPE',
+                            title: 'Invalid resource type',
+                            detail: `"${fieldKey}" is not the type of "${internals.modelName}" or of an included relationship`,
+                            parameter: `fields[${fieldKey}]`
+                        });
+                    }
+                });
+
+                // The columns of `morphTo` candidates are needed to join them
+                const tableNames = _uniq(_flatMap(internals.columnChecks, (check) => _map(check.models, 'tableName')).concat(internals.morphTables));
+
+                return Promise.map(tableNames, internals.getColumnInfo)
+                    .then((columnInfos) => {
+
+                        const columnsByTable = internals.columnsByTable = _zipObject(tableNames, columnInfos);
+
+                        _forEach(internals.columnChecks, (check) => {
+
+                            // Tables that cannot be introspected are not validated
+                            const isColumn = _some(check.models, (model) => {
+
+                                const columns = columnsByTable[model.tableName];
+
+                                return _isEmpty(columns) || _has(columns, check.column);
+                            });
+
+                            if (!isColumn){
+                                internals.reportError({
+                                    code: 'UNKNOWN_ATTRIBUTE',
+                                    title: 'Invalid attribute',
+                                    detail: `"${check.path}" is not an attribute of "${_map(check.models, 'tableName').join('" or "')}"`,
+                                    parameter: check.parameter
+                                });
+                            }
+                        });
+
+                        // Invalid attributes have already been reported
+                        if (internals.errors.length){
+                            return;
+                        }
+
+                        _forEach(internals.valueChecks, (check) => {
+
+                            const values = internals.splitFilterValue(check.value);
+                            const coerced = internals.coerceFilterValues(check.path, check.filterType, values, check.model);
+                            const index = _findIndex(coerced, _isUndefined);
+
+                            if (index !== -1){
+                                internals.reportError({
+                                    code: 'INVALID_FILTER_VALUE',
+                                    title: 'Invalid filter value',
+                                    detail: `"${values[index]}" is not a valid ${internals.getAttributeType(check.path, check.model)} value for "${check.path}"`,
+                                    parameter: check.parameter
+                                });
+                            }
+                        });
+                    });
+            })
+                .then(() => {
+
+                    if (internals.errors.length){
+                        throw new JsonApiParamsError(internals.errors);
+                    }
+                });
+        };
+
+        /**
+         * Build a query based on the `fields` parameter. Only the fields of the primary
+         * resource are selected here, fields of included relations are processed in
+         * `buildIncludes()`.
+         */
+        internals.buildFields = () => {
+
+            const fieldKey = internals.getFieldsKey('');
+
+            if (fieldKey === undefined) {
+                return;
+            }
+
+            // Format column names and add qualifying table name to avoid ambiguous columns
+            const fieldNames = _map(internals.requestedFields[fieldKey], (value) => {
+
+                // Extract any aggregate function around the column name
+                let column = value;
+                let aggregateFunction = null;
+                const regex = new RegExp(/(count|sum|avg|max|min)\((.+)\)/g);
+                const match = regex.exec(value);
+
+                if (match) {
+                    aggregateFunction = match[1];
+                    column = match[2];
+                }
+
+                const computedColumn = internals.getPathExpression(column);
+
+                // Computed attributes and JSON paths are selected under their formatted name
+                if (computedColumn) {
+                    return aggregateFunction ?
+                        Bookshelf.knex.raw(`${aggregateFunction}(?) as ??`, [computedColumn, aggregateFunction]) :
+                        internals.selectExpression(computedColumn, internals.formatAlias(this, column));
+                }
+
+                column = internals.formatColumnCollection([column])[0];
+
+                if (!_includes(column, '.')) {
+                    column = `${internals.modelName}.${column}`;
+                }
+
+                return aggregateFunction ? { aggregateFunction, column } : column;
+            });
+
+            // Add columns to query
+            internals.model.query((qb) => {
+
+                if (!fieldKey){
+                    qb.distinct();
+                }
+
+                _forEach(fieldNames, (column) => {
+
+                    if (column.aggregateFunction) {
+                        qb[column.aggregateFunction](`${column.column} as ${column.aggregateFunction}`);
+                    } else {
+                        qb.select([column]);
+                    }
+                });
+
+                // JSON API considers relationships as fields, so we
+                // need to make sure the keys of the relations are selected
+                _forEach(internals.getLinkColumns(this, ''), (column) => {
+
+                    qb.select(`${internals.modelName}.${column}`);
+                });
+            });
+        };
+
+        /**
+         * Determines if a filter key denotes a boolean group (`and`, `or`, `not`)
+         * rather than a filter type or an attribute. Since `not` is also a filter
+         * type, it is only considered a group when its members are indexed or
+         * contain nested filter types, i.e. `filter[not][0][name]` or `filter[not][like][name]`.
+         * @param   key {string}
+         * @param   value {*}
+         * @return  {boolean}
+         */
+        internals.isFilterGroup = (key, value) => {
+
+            if (!_includes(filterGroups, key) || (!_isArray(value) && !_isPlainObject(value))){
+                return false;
+            }
+
+            if (key !== 'not' || _isArray(value) || internals.isIndexed(value)){
+                return true;
+            }
+
+            return _some(value, _isPlainObject);
+        };
+
+        /**
+         * Determines if the keys of an object are array indexes, i.e. `{ 0: a, 1: b }`
+         * @param   value {object}
+         * @return  {boolean}
+         */
+        internals.isIndexed = (value) => {
+
+            return !_isEmpty(value) && _every(_keys(value), (key) => /^\d+$/.test(key));
+        };
+
+        /**
+         * Returns the members of a filter group along with the parameter they came
+         * from. Indexed members (`filter[or][0][name]`) are complete filter objects.
+         * Otherwise, every condition listed in the group is a member of its own, so
+         * `filter[or][name]=a&filter[or][like][email]=b` matches either condition.
+         * @param   value {array|object}
+         * @param   parameter {string}
+         * @return  {array}
+         */
+        internals.getFilterGroupMembers = (value, parameter) => {
+
+            if (_isArray(value) || internals.isIndexed(value)){
+                return _map(_sortBy(_keys(value), Number), (index) => {
+
+                    return { filterValues: value[index], parameter: `${parameter}[${index}]` };
+                });
+            }
+
+            const members = [];
+
+            _forEach(value, (memberValue, memberKey) => {
+
+                if (_isPlainObject(memberValue) && !internals.isFilterGroup(memberKey, memberValue)){
+                    _forEach(memberValue, (typeValue, typeKey) => {
+
+                        members.push({ filterValues: { [memberKey]: { [typeKey]: typeValue } }, parameter });
+                    });
+                }
+                else {
+                    members.push({ filterValues: { [memberKey]: memberValue }, parameter });
+                }
+            });
+
+            return members;
+        };
+
+        /**
+         * Calls `iteratee` for every condition of a filter object, descending into
+         * boolean groups. The iteratee receives the attribute, the filter type (null
+         * for equality filters), the value and the name of the query parameter. Filter
+         * types that are not supported are passed once with an undefined attribute.
+         * @param   filterValues {object}
+         * @param   iteratee {function}
+         * @param   parameter {string}
+         */
+        internals.forEachFilter = (filterValues, iteratee, parameter = 'filter') => {
+
+            _forEach(filterValues, (value, key) => {
+
+                const keyParameter = `${parameter}[${key}]`;
+
+                if (internals.isFilterGroup(key, value)){
+                    _forEach(internals.getFilterGroupMembers(value, keyParameter), (member) => {
+
+                        internals.forEachFilter(member.filterValues, iteratee, member.parameter);
+                    });
+                }
+                else if (!_isPlainObject(value)){
+                    iteratee(key, null, value, keyParameter);
+                }
+                else if (!_has(internals.operators, key)){
+                    iteratee(undefined, key, value, keyParameter);
+                }
+                else {
+                    _forEach(value, (typeValue, typeKey) => {
+
+                        iteratee(typeKey, key, typeValue, `${keyParameter}[${typeKey}]`);
+                    });
+                }
+            });
+        };
+
+        /**
+         * Build a query based on the `filters` parameter.
+         * @param  filterValues {object|array}
+         */
+        internals.buildFilters = (filterValues) => {
+
+            if (_isObjectLike(filterValues) && !_isEmpty(filterValues)) {
+
+                // build the filter query
+                internals.model.query((qb) => {
+
+                    internals.applyFilters(qb, filterValues);
+                });
+            }
+        };
+
+        /**
+         * Adds the conditions of a filter object to a query builder. Conditions are
+         * combined with `AND`, while boolean groups are added as parenthesised
+         * `where` callbacks. With the `exists` filter strategy, the conditions on the
+         * same relation share a single subquery, matched by a single related record.
+         * @param  qb {object}
+         * @param  filterValues {object}
+         * @param  formatColumn {function}
+         *     Turns an attribute into the column to filter on
+         * @param  model {object}
+         *     The model the attributes belong to, used to coerce the values
+         */
+        internals.applyFilters = (qb, filterValues, formatColumn = internals.formatFilterColumn, model = this) => {
+
+            const relationConditions = {};
+
+            _forEach(filterValues, (value, key) => {
+
+                // If the value is a boolean group
+                if (internals.isFilterGroup(key, value)){
+                    const members = internals.getFilterGroupMembers(value, 'filter');
+
+                    // `not` negates the conjunction of its members
+                    qb[key === 'not' ? 'whereNot' : 'where']((qbGroup) => {
+
+                        _forEach(members, (member) => {
+
+                            qbGroup[key === 'or' ? 'orWhere' : 'where']((qbMember) => {
+
+                                internals.applyFilters(qbMember, member.filterValues, formatColumn, model);
+                            });
+                        });
+                    });
+                }
+                // If the value is a filter type
+                else if (_isPlainObject(value)){
+                    // Format column names of filter types
+                    const filterTypeValues = value;
+
+                    // Check if filter type is valid
+                    if (_has(internals.operators, key)){
+                        // Loop through each value for the valid filter type
+                        _forEach(filterTypeValues, (typeValue, typeKey) => {
+
+                            // Determine if there are multiple filters to be applied
+                            const valueArray = internals.coerceFilterValues(typeKey, key, internals.splitFilterValue(typeValue), model);
+                            const attribute = typeKey;
+
+                            typeKey = formatColumn(typeKey);
+
+                            internals.whereAttribute(qb, attribute, model, relationConditions, (qbAttribute) => {
+
+                                // The `like` filter also matches the values of an equality filter on the same key
+                                if (key === 'like' && _hasIn(filterValues, typeKey)){
+                                    qbAttribute.where((qbWhere) => {
+
+                                        internals.operators.like(qbWhere, typeKey, valueArray, internals.client);
+
+                                        // Determine if there are multiple filters to be applied
+                                        value = filterValues[typeKey].toString().indexOf(',') !== -1 ? filterValues[typeKey].split(',') : filterValues[typeKey];
+                                        qbWhere.orWhereIn(typeKey, value);
+                                    });
+                                }
+                                else {
+                                    internals.operators[key](qbAttribute, typeKey, valueArray, internals.client);
+                                }
+                            });
+                        });
+                    }
+                }
+                // If the value is an equality filter
+                else {
+                    // If the key is in the like filter, ignore the filter
+                    if (!_hasIn(filterValues.like, key)){
+                        const values = internals.coerceFilterValues(key, null, internals.splitFilterValue(value), model);
+                        const column = formatColumn(key);
+
+                        internals.whereAttribute(qb, key, model, relationConditions, (qbAttribute) => {
+
+                            if (value === null || value === 'null'){
+                                qbAttribute.where(column, null);
+                            }
+                            else {
+                                // Determine if there are multiple filters to be applied
+                                whereIn(qbAttribute, column, values);
+                            }
+                        });
+                    }
+                }
+            });
+
+            _forEach(relationConditions, ({ relations, conditions }) => {
+
+                internals.whereRelationExists(qb, relations, (qbExists) => _forEach(conditions, (apply) => apply(qbExists)));
+            });
+        };
+
+        /**
+         * Adds the conditions of a filter on an attribute. With the `exists` filter
+         * strategy, the conditions on attributes of relations are collected by
+         * relation path instead, to be added to a `where exists` subquery of the
+         * relation rather than to the joined relation.
+         * @param   qb {object}
+         * @param   attribute {string}
+         * @param   model {object}
+         * @param   relationConditions {object}
+         *     The conditions of each relation path, keyed by path
+         * @param   apply {function}
+         *     Adds the conditions to the query builder it receives
+         */
+        internals.whereAttribute = (qb, attribute, model, relationConditions, apply) => {
+
+            const { relations } = internals.splitPath(attribute, model);
+
+            if (options.filterStrategy === 'exists' && model === this && relations.length){
+                const relationPath = relations.join('.');
+
+                relationConditions[relationPath] = relationConditions[relationPath] || { relations, conditions: [] };
+                relationConditions[relationPath].conditions.push(apply);
+                return;
+            }
+
+            apply(qb);
+        };
+
+        /**
+         * Formats the attribute of a filter into a column of the main query.
+         * @param   attribute {string}
+         * @return  {string}
+         */
+        internals.formatFilterColumn = (attribute) => {
+
+            // Remove all but the last table name, need to get number of dots
+            return internals.getPathExpression(attribute) || internals.formatRelation(internals.formatColumnNames([attribute])[0]);
+        };
+
+        /**
+         * Returns the attribute paths searched by `filter[search]`.
+         * @return  {array}
+         */
+        internals.getSearchable = () => {
+
+            return [].concat((this.jsonApiParams || {}).searchable || []);
+        };
+
+        /**
+         * Build a query based on the `filter[search]` parameter. PostgreSQL matches the
+         * searchable attributes as a single text search document, other clients require
+         * every word to be found in one of the attributes with a `like` condition.
+         */
+        internals.buildSearch = () => {
+
+            if (_isEmpty(internals.searchTerms)){
+                return;
+            }
+
+            const columns = _map(internals.getSearchable(), internals.formatFilterColumn);
+
+            internals.model.query((qb) => {
+
+                if (_includes(fullTextClients, internals.client)){
+                    return qb.whereRaw('? @@ ?', [internals.getSearchDocument(columns), internals.getSearchQuery()]);
+                }
+
+                _forEach(internals.searchTerms, (term) => {
+
+                    qb.where((qbTerm) => {
+
+                        _forEach(columns, (column) => qbTerm.orWhere(likeQuery(column, `%${escapeLike(term)}%`, internals.client)));
+                    });
+                });
+            });
+        };
+
+        /**
+         * Returns the text search language of the model, `simple` by default.
+         * @return  {string}
+         */
+        internals.getSearchLanguage = () => {
+
+            return (this.jsonApiParams || {}).searchLanguage || options.searchLanguage || 'simple';
+        };
+
+        /**
+         * Returns the PostgreSQL text search document made of the searchable columns.
+         * @param   columns {array}
+         * @return  {object}
+         */
+        internals.getSearchDocument = (columns) => {
+
+            const text = _map(columns, () => 'coalesce(CAST(? AS text), \'\')').join(' || \' \' || ');
+
+            return Bookshelf.knex.raw(`to_tsvector(?::regconfig, ${text})`, [internals.getSearchLanguage()].concat(_map(columns, (column) => {
+
+                return typeof column === 'string' ? Bookshelf.knex.raw('??', [column]) : column;
+            })));
+        };
+
+        /**
+         * Returns the PostgreSQL text search query of the search words.
+         * @return  {object}
+         */
+        internals.getSearchQuery = () => {
+
+            return Bookshelf.knex.raw('plainto_tsquery(?::regconfig, ?)', [internals.getSearchLanguage(), internals.searchTerms.join(' ')]);
+        };
+
+        /**
+         * Returns the relevance of each record to `filter[search]`, sorted by with
+         * `sort=-_score`. PostgreSQL ranks the text search document, other clients
+         * count the words found in each searchable attribute.
+         * @return  {object}
+         */
+        internals.getSearchScore = () => {
+
+            const columns = _map(internals.getSearchable(), internals.formatFilterColumn);
+
+            if (_includes(fullTextClients, internals.client)){
+                return Bookshelf.knex.raw('ts_rank(?, ?)', [internals.getSearchDocument(columns), internals.getSearchQuery()]);
+            }
+
+            const matches = _flatMap(internals.searchTerms, (term) => {
+
+                return _map(columns, (column) => {
+
+                    return Bookshelf.knex.raw('(case when ? then 1 else 0 end)', [likeQuery(column, `%${escapeLike(term)}%`, internals.client)]);
+                });
+            });
+
+            return Bookshelf.knex.raw(_map(matches, () => '?').join(' + '), matches);
+        };
+
+        /**
+         * Splits a filter value into a list of values, honoring escaped commas.
+         * A null value (or the string 'null') becomes `[null]`.
+         * @param   value {*}
+         * @return  {array}
+         */
+        internals.splitFilterValue = (value) => {
+
+            if (_isArray(value)){
+                return value;
+            }
+
+            if (value === null || value === 'null'){
+                return [null];
+            }
+
+            return typeof value === 'string' ? split(value, { keepQuotes: true, sep: ',' }) : [value];
+        };
+
+        /**
+         * Returns the type of an attribute path: the type declared in the `attributes`
+         * setting of the model's `jsonApiParams`, or the type inferred from the column
+         * type. Returns null for attributes of unknown type, which aren't coerced.
+         * Counts are integers, sums and averages are numbers, and the minimum and
+         * maximum of an attribute have its type.
+         * @param   path {string}
+         * @param   model {object}
+         * @return  {string|null}
+         */
+        internals.getAttributeType = (path, model = this) => {
+
+            const aggregate = internals.parseAggregate(path);
+
+            if (aggregate){
+                const aggregateTypes = { count: 'integer', sum: 'number', avg: 'number' };
+
+                return aggregateTypes[aggregate.aggregateFunction] || internals.getAttributeType(aggregate.attribute, model);
+            }
+
+            const { relations, attribute, jsonPath } = internals.splitPath(path, model);
+            const target = _reduce(relations, (parent, relation) => parent && internals.getRelatedModel(relation, parent), model);
+            const name = [attribute].concat(jsonPath).join('.');
+
+            if (!target){
+                return null;
+            }
+
+            const declared = (target.jsonApiParams || {}).attributes;
+
+            if (declared && _has(declared, [name])){
+                return declared[name];
+            }
+
+            if (jsonPath.length || internals.isComputed(target, attribute)){
+                return null;
+            }
+
+            // The attribute of a `morphTo` relation has the type of the first candidate with its column
+            const column = _find(_map(target.morphCandidates || [target], (candidate) => {
+
+                const columns = (internals.columnsByTable || {})[candidate.tableName] || {};
+
+                return columns[_keys(candidate.format({ [attribute]: undefined }))[0]];
+            }));
+            const columnType = column && _find(columnTypes, ({ pattern, clients }) => {
+
+                return (!clients || _includes(clients, internals.client)) && pattern.test(String(column.type).toLowerCase());
+            });
+
+            return columnType ? columnType.type : null;
+        };
+
+        /**
+         * Returns whether a path refers to a column of a table, rather than to a
+         * computed attribute or a path inside a JSON column.
+         * @param   path {string}
+         * @param   model {object}
+         * @return  {boolean}
+         */
+        internals.isColumnPath = (path, model = this) => {
+
+            const { relations, attribute, jsonPath } = internals.splitPath(path, model);
+            const target = _reduce(relations, (parent, relation) => parent && internals.getRelatedModel(relation, parent), model);
+
+            return Boolean(target) && !jsonPath.length && !internals.isComputed(target, attribute);
+        };
+
+        /**
+         * Coerces the values of a filter to the type of its attribute. Only equality
+         * filters and the filter types comparing values are coerced, and null is left
+         * untouched. Values that cannot be coerced become undefined. Dates compared with
+         * a column on SQLite become milliseconds since the epoch, which is how Knex
+         * stores `Date` values there.
+         * @param   path {string}
+         * @param   filterType {string|null}
+         * @param   values {array}
+         * @param   model {object}
+         * @return  {array}
+         */
+        internals.coerceFilterValues = (path, filterType, values, model = this) => {
+
+            const attributeType = filterType === null || _includes(coercedFilterTypes, filterType) ? internals.getAttributeType(path, model) : null;
+
+            if (!attributeType){
+                return values;
+            }
+
+            const inMilliseconds = attributeType === 'date' && internals.client === 'sqlite3' &&
+                internals.isColumnPath(internals.stripAggregate(path), model);
+
+            return _map(values, (value) => {
+
+                if (value === null || value === 'null'){
+                    return value;
+                }
+
+                const coerced = coerceValue(attributeType, value);
+
+                return inMilliseconds && coerced !== undefined ? Date.parse(coerced) : coerced;
+            });
+        };
+
+        /**
+         * Takes in an attribute string like a.b.c.d and returns c.d, also if attribute
+         * looks like 'a', it will return tableName.a where tableName is the top layer table name
+         * @param   attribute {string}
+         * @return  {string}
+         */
+        internals.formatRelation = (attribute) => {
+
+            if (_includes(attribute, '.')){
+                const splitKey = attribute.split('.');
+                attribute = `${splitKey[splitKey.length - 2]}.${splitKey[splitKey.length - 1]}`;
+            }
+            // Add table name to before column name if no relation to avoid ambiguous columns
+            else {
+                attribute = `${internals.modelName}.${attribute}`;
+            }
+            return attribute;
+        };
+
+        /**
+         * Returns every relation path loaded by the `include` parameter, including
+         * the intermediate relations of nested paths, i.e. `pets` and `pets.toy`
+         * for `pets.toy`. Values that are not paths are left to the validation.
+         * @param   includeValues {array}
+         *     The values of the `include` parameter by default
+         * @return  {array}
+         */
+        internals.getIncludePaths = (includeValues = include) => {
+
+            return _uniq(_flatMap(includeValues, (relation) => {
 
-    // Load the pagination plugin
-    Bookshelf.plugin(Paginator);
+                const paths = _isPlainObject(relation) ? _keys(relation) : _filter([relation], (path) => typeof path === 'string');
 
-    /**
-     * Similar to {@link Model#fetch} and {@link Model#fetchAll}, but specifically
-     * uses parameters defined by the {@link https://jsonapi.org|JSON API spec} to
-     * build a query to further refine a result set.
-     *
-     * @param  opts {object}
-     *     Currently supports the `include`, `fields`, `sort`, `page` and `filter`
-     *     parameters from the {@link https://jsonapi.org|JSON API spec}.
-     * @param  type {string}
-     *     An optional string that specifies the type of resource being retrieved.
-     *     If not specified, type will default to the name of the table associated
-     *     with the model.
-     * @return {Promise<Model|Collection|null>}
-     */
-    const fetchJsonApi = function (opts, isCollection = true, type, additionalQuery) {
+                return _flatMap(paths, (path) => {
 
-        opts = opts || {};
+                    const relations = path.split('.');
 
-        const internals = {};
-        const { include, fields, sort, page = {}, filter, group } = opts;
-        const filterTypes = ['like', 'not', 'lt', 'gt', 'lte', 'gte'];
+                    return _map(relations, (value, index) => relations.slice(0, index + 1).join('.'));
+                });
+            }));
+        };
 
-        // Get a reference to the field being used as the id
-        internals.idAttribute = this.constructor.prototype.idAttribute ?
-            this.constructor.prototype.idAttribute : 'id';
+        /**
+         * Returns a new instance of the model targeted by an included relation path,
+         * or null if a relation of the path does not exist.
+         * @param   path {string}
+         * @return  {object|null}
+         */
+        internals.getIncludeModel = (path) => {
 
-        // Get a reference to the current model name. Note that if no type is
-        // explicitly passed, the tableName will be used
-        internals.modelName = type ? type : this.constructor.prototype.tableName;
+            return _reduce(path.split('.'), (model, relation) => model && internals.getRelatedModel(relation, model), this);
+        };
 
-        // Used to determine which casting syntax is valid
-        internals.client = Bookshelf.knex.client.config.client;
-        internals.textType = 'text';
-        if (internals.client === 'mysql' && internals.client === 'mssql'){
-            internals.textType = 'char';
-        }
+        /**
+         * Returns the `fields` keys that may apply to the primary resource (empty path)
+         * or to an included relation path, by order of precedence. As in the JSON API
+         * spec fields are keyed by resource type, so `fields[person]` applies to every
+         * included person. The include path, `fields[pets.toy]`, and the relation name,
+         * `fields[toy]`, take precedence. The table name, or an empty key, may also be
+         * used for the primary resource.
+         * @param   path {string}
+         * @return  {array}
+         */
+        internals.getFieldsKeys = (path) => {
 
-        // Initialize an instance of the current model and clone the initial query
-        internals.model =
-            this.constructor.forge().query((qb) => _assign(qb, this.query().clone()));
+            if (!path){
+                return [internals.type, internals.modelName, ''];
+            }
+
+            const model = internals.getIncludeModel(path);
+
+            return [path, _last(path.split('.'))].concat(model ? [resourceType(model)] : []);
+        };
 
         /**
-         * Build a query for relational dependencies of filtering, grouping and sorting
-         * @param   filterValues {object}
-         * @param   groupValues {object}
-         * @param   sortValues {object}
+         * Returns the `fields` key applying to the primary resource (empty path) or
+         * to an included relation path, or undefined if no sparse fieldset applies.
+         * @param   path {string}
+         * @return  {string|undefined}
          */
-        internals.buildDependencies = (filterValues, groupValues, sortValues) => {
+        internals.getFieldsKey = (path) => {
 
-            const relationHash = {};
-            // Find relations in filterValues
-            if (_isObjectLike(filterValues) && !_isEmpty(filterValues)){
+            return _find(internals.getFieldsKeys(path), (fieldKey) => _has(internals.requestedFields, fieldKey));
+        };
 
-                // Loop through each filter value
-                _forEach(filterValues, (value, key) => {
+        /**
+         * Returns the columns of a model which link it to the relations included
+         * below it: the id attribute, and the foreign keys of `belongsTo` and
+         * `morphTo` relations, which are stored on the model itself.
+         * @param   model {object}
+         * @param   path {string}
+         *     The include path of the model, empty for the primary resource
+         * @return  {array}
+         */
+        internals.getLinkColumns = (model, path) => {
 
-                    // If the filter is not an equality filter
-                    if (_isObjectLike(value)){
-                        if (!_isEmpty(value)){
-                            _forEach(value, (typeValue, typeKey) => {
+            const children = _filter(internals.getIncludePaths(), (includePath) => {
 
-                                // Add relations to the relationHash
-                                internals.buildDependenciesHelper(typeKey, relationHash);
-                            });
-                        }
-                    }
-                    // If the filter is an equality filter
-                    else {
-                        internals.buildDependenciesHelper(key, relationHash);
+                return path ? _startsWith(includePath, `${path}.`) && !_includes(includePath.substring(path.length + 1), '.') : !_includes(includePath, '.');
+            });
+            const columns = children.length ? [model.idAttribute] : [];
+
+            _forEach(children, (childPath) => {
+
+                const relatedData = internals.getRelatedData(_last(childPath.split('.')), model);
+
+                if (relatedData && relatedData.type === 'belongsTo' && !relatedData.isThrough()){
+                    columns.push(relatedData.key('foreignKey'));
+                }
+                else if (relatedData && relatedData.type === 'morphTo'){
+                    columns.push(relatedData.key('morphKey'), relatedData.key('foreignKey'));
+                }
+            });
+
+            return _uniq(columns);
+        };
+
+        /**
+         * Returns the columns to select for an included relation path, or null if
+         * no sparse fieldset applies to it. Along with the requested fields, the id
+         * attribute and the foreign keys Bookshelf needs to pair the related records
+         * with their parents and children are selected.
+         * @param   path {string}
+         * @return  {array|null}
+         */
+        internals.getIncludeColumns = (path) => {
+
+            const requested = internals.requestedFields[internals.getFieldsKey(path)];
+            const relations = path.split('.');
+
+            if (!requested){
+                return null;
+            }
+
+            const parentModel = relations.length > 1 ? internals.getIncludeModel(relations.slice(0, -1).join('.')) : this;
+            const relatedData = internals.getRelatedData(_last(relations), parentModel);
+            const model = internals.getRelatedModel(_last(relations), parentModel);
+            const computedColumns = [];
+            const columns = [];
+
+            _forEach(requested, (column) => {
+
+                const computedColumn = internals.getAttributeExpression(model, column, internals.getIncludeTable(path) || model.tableName);
+
+                if (computedColumn){
+                    computedColumns.push(internals.selectExpression(computedColumn, internals.formatAlias(model, column)));
+                }
+                else {
+                    columns.push(_keys(model.format({ [column]: undefined }))[0]);
+                }
+            });
+
+            // Keys of records pointing at their parent
+            if (!relatedData.isInverse() && !relatedData.isThrough() && relatedData.type !== 'belongsToMany'){
+                columns.push(relatedData.key('foreignKey'));
+
+                if (relatedData.isMorph()){
+                    columns.push(relatedData.key('morphKey'));
+                }
+            }
+
+            return _map(_uniq(columns.concat(internals.getLinkColumns(model, path), [model.idAttribute])), (column) => {
+
+                return internals.qualifyIncludeColumn(path, column);
+            }).concat(computedColumns);
+        };
+
+        /**
+         * Qualifies a column of an included relation with its table name, since
+         * Bookshelf may join a pivot table to the query of the relation.
+         * @param   path {string}
+         * @param   column {string}
+         * @return  {string}
+         */
+        internals.qualifyIncludeColumn = (path, column) => {
+
+            const table = internals.getIncludeTable(path);
+
+            return table ? `${table}.${column}` : column;
+        };
+
+        /**
+         * Returns the table an included relation is read from. The target of a
+         * `morphTo` relation depends on the record, so it has none.
+         * @param   path {string}
+         * @return  {string|undefined}
+         */
+        internals.getIncludeTable = (path) => {
+
+            const relations = path.split('.');
+            const parentModel = relations.length > 1 ? internals.getIncludeModel(relations.slice(0, -1).join('.')) : this;
+
+            return internals.getRelatedData(_last(relations), parentModel).targetTableName;
+        };
+
+        /**
+         * Build a query based on the `include` parameter. Sparse fieldsets are applied
+         * to every included relation, however deeply nested.
+         * @param  includeValues {array}
+         */
+        internals.buildIncludes = (includeValues) => {
+
+            if (_isArray(includeValues) && !_isEmpty(includeValues)) {
+
+                const relations = {};
+
+                _forEach(includeValues, (relation) => {
+
+                    _forOwn(_isObjectLike(relation) ? relation : { [relation]: _noop }, (callback, path) => {
+
+                        relations[path] = callback;
+                    });
+                });
+
+                _forEach(internals.getIncludePaths(), (path) => {
+
+                    const columns = internals.getIncludeColumns(path);
+                    const model = internals.getIncludeModel(path);
+                    const filterValues = includeFilters[path];
+                    const callback = relations[path] || _noop;
+                    const scoped = _some(model && (model.morphCandidates || [model]), (candidate) => {
+
+                        return _isFunction((candidate.jsonApiParams || {}).scope);
+                    });
+
+                    if (columns || filterValues || scoped){
+                        relations[path] = function (qb) {
+
+                            if (columns){
+                                qb.column(columns);
+                            }
+
+                            // The loader of a `morphTo` relation reads the table of each candidate in turn
+                            if (scoped){
+                                const table = internals.getIncludeTable(path) || qb._single.table;
+
+                                internals.applyScope(qb, _find(model.morphCandidates, (candidate) => candidate.tableName === table) || model, table);
+                            }
+
+                            // Included records are filtered with the format of their own model
+                            if (filterValues){
+                                internals.applyFilters(qb, filterValues, (attribute) => {
+
+                                    return internals.getAttributeExpression(model, attribute, internals.getIncludeTable(path) || model.tableName) ||
+                                        internals.qualifyIncludeColumn(path, _keys(model.format({ [attribute]: undefined }))[0]);
+                                }, model);
+                            }
+
+                            return callback.call(this, qb);
+                        };
                     }
                 });
+
+                // Assign the relations to the options passed to fetch/All
+                _assign(opts, { withRelated: [relations] });
             }
+        };
 
-            // Find relations in sortValues
-            if (_isObjectLike(sortValues) && !_isEmpty(sortValues)){
+        /**
+         * Build a query based on the `sort` parameter.
+         * @param  sortValues {array}
+         */
+        internals.buildSort = (sortValues = []) => {
 
-                // Loop through each sort value
-                _forEach(sortValues, (value) => {
 
-                    // If the sort value is descending, remove the dash
-                    if (value.indexOf('-') === 0){
-                        value = value.substr(1);
+            if (_isArray(sortValues) && !_isEmpty(sortValues)) {
+
+                let sortDesc = [];
+
+                for (let i = 0; i < sortValues.length; ++i) {
+
+                    // Determine if the sort should be descending
+                    if (typeof sortValues[i] === 'string' && sortValues[i][0] === '-') {
+                        sortValues[i] = sortValues[i].substring(1);
+                        sortDesc.push(sortValues[i]);
                     }
-                    // Add relations to the relationHash
-                    internals.buildDependenciesHelper(value, relationHash);
+                }
+
+                const aggregates = _map(sortValues, (sortBy) => {
+
+                    const aggregate = internals.parseAggregateSort(sortBy);
+
+                    return aggregate && _assign(aggregate, { desc: _includes(sortDesc, sortBy) });
                 });
-            }
+                const computedColumns = _map(sortValues, (sortBy) => {
 
-            // Find relations in groupValues
-            if (_isObjectLike(groupValues) && !_isEmpty(groupValues)){
+                    const computedColumn = sortBy === searchScore ? internals.getSearchScore() : internals.getPathExpression(sortBy);
 
-                // Loop through each group value
-                _forEach(groupValues, (value) => {
+                    return computedColumn && { computedColumn, desc: _includes(sortDesc, sortBy) };
+                });
 
-                    // Add relations to the relationHash
-                    internals.buildDependenciesHelper(value, relationHash);
+                // Format column names according to Model settings
+                sortDesc = internals.formatColumnNames(sortDesc);
+                sortValues = internals.formatColumnNames(sortValues);
+
+                _forEach(sortValues, (sortBy, index) => {
+
+                    if (aggregates[index]) {
+                        internals.sortByAggregate(aggregates[index]);
+                    }
+                    else if (computedColumns[index]) {
+                        internals.orderByExpression(
+                            computedColumns[index].computedColumn,
+                            computedColumns[index].desc === internals.isReversed() ? 'asc' : 'desc',
+                            true
+                        );
+                    }
+                    else if (sortBy) {
+                        // Paging backwards from a cursor reverses the order
+                        const direction = (sortDesc.indexOf(sortBy) === -1) === internals.isReversed() ? 'desc' : 'asc';
+
+                        // Cursors compare null values as the lowest ones, whatever the client
+                        if (internals.cursor){
+                            internals.model.query((qb) => {
+
+                                qb.orderByRaw(`case when ?? is null then 0 else 1 end ${direction}`, [internals.formatRelation(sortBy)]);
+                            });
+                        }
+
+                        internals.orderByExpression(internals.formatRelation(sortBy), direction, _includes(sortBy, '.'));
+                    }
                 });
             }
+        };
 
-            // Need to select model.* so all of the relations are not returned, also check if there is anything in fields object
-            if (_keys(relationHash).length && !_keys(fields).length){
-                internals.model.query((qb) => {
-                    qb.select(`${internals.modelName}.*`);
-                });
+        /**
+         * Sorts by an aggregate of a relationship. The aggregate is computed by a
+         * subquery grouped by parent, joined to the main query so that parents are
+         * neither duplicated nor dropped. Parents without related records are
+         * counted as 0.
+         * @param   aggregate {object}
+         */
+        internals.sortByAggregate = ({ aggregateFunction, relation, attribute, desc }) => {
+
+            const relatedData = internals.getRelatedData(relation, this);
+            const model = internals.getRelatedModel(relation, this);
+            const targetTable = relatedData.targetTableName;
+            const alias = `${relation}_${aggregateFunction}${attribute ? `_${attribute}` : ''}`;
+            const column = attribute && (internals.getAttributeExpression(model, attribute, targetTable) ||
+                `${targetTable}.${_keys(model.format({ [attribute]: undefined }))[0]}`);
+            const direction = desc === internals.isReversed() ? 'asc' : 'desc';
+            let subquery;
+
+            if (relatedData.type === 'belongsToMany'){
+                const joinTable = relatedData.joinTable();
+
+                subquery = Bookshelf.knex(joinTable)
+                    .select(`${joinTable}.${relatedData.key('foreignKey')} as parent_id`)
+                    .leftOuterJoin(targetTable, `${targetTable}.${relatedData.targetIdAttribute}`, `${joinTable}.${relatedData.key('otherKey')}`)
+                    .groupBy(`${joinTable}.${relatedData.key('foreignKey')}`);
             }
-            // Recurse on each of the relations in relationHash
-            _forIn(relationHash, (value, key) => {
+            else {
+                subquery = Bookshelf.knex(targetTable)
+                    .select(`${targetTable}.${relatedData.key('foreignKey')} as parent_id`)
+                    .groupBy(`${targetTable}.${relatedData.key('foreignKey')}`);
 
-                return internals.queryRelations(value, key, this, internals.modelName);
+                if (relatedData.isMorph()){
+                    subquery.where(`${targetTable}.${relatedData.key('morphKey')}`, relatedData.key('morphValue'));
+                }
+            }
+
+            subquery.select(Bookshelf.knex.raw(`${aggregateFunction}(${column ? (typeof column === 'string' ? '??' : '?') : '*'}) as aggregate`, column ? [column] : []));
+
+            // Only the records in the default scope of the related model are aggregated
+            internals.applyScope(subquery, model, targetTable);
+
+            internals.model.query((qb) => {
+
+                qb.leftOuterJoin(subquery.as(alias), `${alias}.parent_id`, `${internals.modelName}.${relatedData.parentIdAttribute}`);
             });
+
+            internals.orderByExpression(
+                aggregateFunction === 'count' ? Bookshelf.knex.raw('coalesce(??, 0)', [`${alias}.aggregate`]) : `${alias}.aggregate`,
+                direction,
+                true
+            );
         };
 
         /**
-         * Recursive funtion to add relationships to main query to allow filtering and sorting
-         * on relationships by using left outer joins
-         * @param   relation {object}
-         * @param   relationKey {string}
-         * @param   parent {object}
-         * @param   parentKey {string}
+         * Validates the `page` parameter and normalizes it into the `page` and `pageSize`,
+         * or `limit` and `offset`, options understood by `fetchPage`. `page[number]` and
+         * `page[size]` are aliases of `page[page]` and `page[pageSize]`. The page size is
+         * capped by the `maxPageSize` of the model or the plugin.
          */
-        internals.queryRelations = (relation, relationKey, parentModel, parentKey) => {
+        internals.validatePage = () => {
 
-            // Add left outer joins for the relation
-            const relatedData = parentModel[relationKey]().relatedData;
+            internals.page = null;
+            internals.pageSize = null;
+            internals.countPage = true;
 
-            internals.model.query((qb) => {
+            if (!isCollection || !_isPlainObject(page)){
+                return;
+            }
 
-                const foreignKey = relatedData.foreignKey ? relatedData.foreignKey : `${inflection.singularize(relatedData.parentTableName)}_${relatedData.parentIdAttribute}`;
-                if (relatedData.type === 'hasOne' || relatedData.type === 'hasMany'){
-                    qb.leftOuterJoin(`${relatedData.targetTableName} as ${relationKey}`,
-                                     `${parentKey}.${relatedData.parentIdAttribute}`,
-                                     `${relationKey}.${foreignKey}`);
-                }
-                else if (relatedData.type === 'belongsTo'){
-                    if (relatedData.throughTableName){
-                        const throughTableAlias = `${relationKey}_${relatedData.throughTableName}_pivot`;
-                        qb.leftOuterJoin(`${relatedData.throughTableName} as ${throughTableAlias}`,
-                                        `${parentKey}.${relatedData.parentIdAttribute}`,
-                                        `${throughTableAlias}.${relatedData.throughIdAttribute}`);
-                        qb.leftOuterJoin(`${relatedData.targetTableName} as ${relationKey}`,
-                                        `${throughTableAlias}.${foreignKey}`,
-                                        `${relationKey}.${relatedData.targetIdAttribute}`);
-                    }
-                    else {
-                        qb.leftOuterJoin(`${relatedData.targetTableName} as ${relationKey}`,
-                                        `${parentKey}.${foreignKey}`,
-                                        `${relationKey}.${relatedData.targetIdAttribute}`);
-                    }
+            // `page[count]=false` skips counting the records, which is costly on huge tables
+            const { count, ...pageValues } = page;
+
+            if (!_isUndefined(count)){
+                if (!_includes([true, false, 'true', 'false'], count)){
+                    internals.reportError({
+                        code: 'INVALID_PAGE_PARAMETER',
+                        title: 'Invalid page parameter',
+                        detail: `"${count}" is not a valid value for \`page[count]\`, expected a boolean`,
+                        parameter: 'page[count]'
+                    });
                 }
-                else if (relatedData.type === 'belongsToMany'){
-                    const otherKey = relatedData.otherKey ? relatedData.otherKey : `${inflection.singularize(relatedData.targetTableName)}_id`;
-                    const joinTableName = relatedData.joinTableName ? relatedData.joinTableName : relatedData.throughTableName;
 
-                    qb.leftOuterJoin(`${joinTableName} as ${relationKey}_${joinTableName}`,
-                                        `${parentKey}.${relatedData.parentIdAttribute}`,
-                                        `${relationKey}_${joinTableName}.${foreignKey}`);
-                    qb.leftOuterJoin(`${relatedData.targetTableName} as ${relationKey}`,
-                                        `${relationKey}_${joinTableName}.${otherKey}`,
-                                        `${relationKey}.${relatedData.targetIdAttribute}`);
+                internals.countPage = count !== false && count !== 'false';
+            }
+
+            // Assign default paging options if they were passed to the plugin
+            // and no pagination parameters were passed directly to the method.
+            const defaults = options.pagination || {};
+            const requested = _isEmpty(pageValues) ? defaults : pageValues;
+            const values = {};
+
+            if (_isEmpty(requested)){
+                return;
+            }
+
+            _forOwn(pageParameters, (minimum, key) => {
+
+                if (!_has(requested, key)){
+                    return;
                 }
-                else if (_includes(relatedData.type, 'morph')){
-                    // Get the morph type and id
-                    const morphType = relatedData.columnNames[0] ? relatedData.columnNames[0] : `${relatedData.morphName}_type`;
-                    const morphId = relatedData.columnNames[1] ? relatedData.columnNames[0] : `${relatedData.morphName}_id`;
-                    if (relatedData.type === 'morphOne' || relatedData.type === 'morphMany'){
 
-                        qb.leftOuterJoin(`${relatedData.targetTableName} as ${relationKey}`, (qbJoin) => {
+                const value = typeof requested[key] === 'string' && requested[key].trim() ? Number(requested[key]) : requested[key];
 
-                            qbJoin.on(`${relationKey}.${morphId}`, '=', `${parentKey}.${relatedData.parentIdAttribute}`);
-                        }).where(`${relationKey}.${morphType}`, '=', relatedData.morphValue);
-                    }
-                    else if (relatedData.type === 'morphTo'){
-                        // Not implemented
-                    }
+                if (!_isInteger(value) || value < minimum){
+                    return internals.reportError({
+                        code: 'INVALID_PAGE_PARAMETER',
+                        title: 'Invalid page parameter',
+                        detail: `"${requested[key]}" is not a valid value for \`page[${key}]\`, expected ${minimum ? 'a positive' : 'a non-negative'} integer`,
+                        parameter: `page[${key}]`
+                    });
                 }
+
+                values[key] = value;
             });
 
-            if (!_keys(relation).length){
-                return;
+            const maxPageSize = (this.jsonApiParams || {}).maxPageSize || options.maxPageSize;
+            const size = Math.min(
+                values.size || values.pageSize || values.limit || defaults.size || defaults.pageSize || defaults.limit || defaultPageSize,
+                maxPageSize || Infinity
+            );
+
+            internals.pageSize = size;
+
+            if (_has(values, 'offset') || (_has(values, 'limit') && !_has(values, 'number') && !_has(values, 'page'))){
+                internals.page = { limit: size, offset: values.offset || 0 };
             }
-            _forIn(relation, (value, key) => {
+            else {
+                internals.page = { page: values.number || values.page || 1, pageSize: size };
+            }
+        };
 
-                return internals.queryRelations(value, key, parentModel[relationKey]().relatedData.target.forge(), relationKey);
-            });
+        /**
+         * Determines if the results are fetched backwards, which is the case when
+         * paging with `page[before]`.
+         * @return  {boolean}
+         */
+        internals.isReversed = () => {
+
+            return Boolean(internals.cursor) && internals.cursor.direction === 'before';
         };
 
         /**
-         * Adds relations included in the key to the relationHash, used in buildDependencies
-         * @param   key {string}
-         * @param   relationHash {object}
+         * Validates the cursor pagination parameters, `page[after]` and `page[before]`,
+         * and resolves the columns cursors are made of: the `sort` columns followed
+         * by the id attribute.
          */
-        internals.buildDependenciesHelper = (key, relationHash) => {
+        internals.validateCursor = () => {
 
-            if (_includes(key, '.')){
-                // The last item in the chain is a column name, not a table. Do not include column name in relationHash
-                key = key.substring(0, key.lastIndexOf('.'));
-                if (!_has(relationHash, key)){
-                    let level = relationHash;
-                    const relations = key.split('.');
-                    let relationModel = this.clone();
+            internals.cursor = null;
+
+            if (!isCollection || !_isPlainObject(page) || (!_has(page, 'after') && !_has(page, 'before'))){
+                return;
+            }
+
+            const direction = _has(page, 'before') ? 'before' : 'after';
+            const columns = [];
+            let values = null;
+
+            _forEach(sort, (value) => {
+
+                const attribute = typeof value === 'string' && value[0] === '-' ? value.substring(1) : value;
+
+                if (_includes(attribute, '.') || attribute === searchScore || internals.isComputed(this, attribute)){
+                    return internals.reportError({
+                        code: 'INVALID_PAGE_PARAMETER',
+                        title: 'Invalid page parameter',
+                        detail: `Paging with a cursor requires sorting on attributes of "${internals.modelName}" only`,
+                        parameter: 'sort'
+                    });
+                }
+
+                columns.push({ column: internals.formatColumnCollection([attribute])[0], desc: attribute !== value });
+            });
 
-                    // Traverse the relationHash object and set new relation if it does not exist
-                    _forEach(relations, (relation) => {
+            // The id attribute makes the order, and therefore each cursor, unique
+            if (!_find(columns, { column: internals.idAttribute })){
+                columns.push({ column: internals.idAttribute, desc: false, tieBreaker: true });
+            }
 
-                        // Check if valid relationship
-                        if (typeof relationModel[relation] === 'function' && relationModel[relation]().relatedData.type){
-                            if (!level[relation]){
-                                level[relation] = {};
-                            }
-                            level = level[relation];
+            if (page[direction]){
+                values = decodeCursor(page[direction]);
 
-                            // Set relation model to the next item in the chain
-                            relationModel = relationModel.related(relation).relatedData.target.forge();
-                        }
-                        else {
-                            return false;
-                        }
+                if (!values || values.length !== columns.length){
+                    return internals.reportError({
+                        code: 'INVALID_PAGE_PARAMETER',
+                        title: 'Invalid page parameter',
+                        detail: `"${page[direction]}" is not a valid cursor`,
+                        parameter: `page[${direction}]`
                     });
                 }
             }
+
+            internals.cursor = { direction, size: internals.pageSize, columns, values };
         };
 
         /**
-         * Build a query based on the `fields` parameter.
-         * @param  fieldNames {object}
+         * Determines if a column of a cursor may hold null values. Columns that cannot be
+         * introspected are considered nullable.
+         * @param   column {object}
+         * @return  {boolean}
          */
-        internals.buildFields = (fieldNames = {}) => {
+        internals.isNullable = ({ column, tieBreaker }) => {
 
-            if (_isObject(fieldNames) && !_isEmpty(fieldNames)) {
+            const columnInfo = ((internals.columnsByTable || {})[_result(this, 'tableName')] || {})[column];
 
-                // Format column names
-                fieldNames = internals.formatColumnNames(fieldNames);
-
-                // Process fields for each type/relation
-                _forEach(fieldNames, (fieldValue, fieldKey) => {
+            return !tieBreaker && (!columnInfo || columnInfo.nullable !== false);
+        };
 
-                    // Add qualifying table name to avoid ambiguous columns
-                    fieldNames[fieldKey] = _map(fieldNames[fieldKey], (value) => {
+        /**
+         * Build a keyset query based on the `page[after]` or `page[before]` cursor.
+         * Records following the cursor are selected with a row value comparison,
+         * `(a, b) > (?, ?)`, when every column is sorted in the same direction, or
+         * with the equivalent `a > ? OR (a = ? AND b > ?)` otherwise, on SQLite and
+         * for nullable columns, whose null values come before the other ones.
+         * One more record than the page size is fetched to know if there are more.
+         */
+        internals.buildCursor = () => {
 
-                        // Extract any aggregate function around the column name
-                        let column = value;
-                        let aggregateFunction = null;
-                        const regex = new RegExp(/(count|sum|avg|max|min)\((.+)\)/g);
-                        const match = regex.exec(value);
+            const { size, columns, values } = internals.cursor;
+            const qualifiedColumns = _map(columns, (column) => `${internals.modelName}.${column.column}`);
 
-                        if (match) {
-                            aggregateFunction = match[1];
-                            column = match[2];
-                        }
+            // Whether each column has to be greater than the cursor value
+            const isGreater = _map(columns, (column) => column.desc === internals.isReversed());
 
-                        if (!fieldKey) {
-                            if (!_includes(column, '.')) {
-                                column = `${internals.modelName}.${column}`;
-                            }
-                        } else {
-                            column = `${fieldKey}.${column}`;
-                        }
+            internals.model.query((qb) => {
 
-                        return aggregateFunction ? { aggregateFunction, column } : column;
-                    });
+                _forEach(columns, (column, index) => {
 
-                    // Only process the field if it's not a relation. Fields
-                    // for relations are processed in `buildIncludes()`
-                    if (!_includes(include, fieldKey)) {
+                    if (column.tieBreaker){
+                        qb.orderBy(qualifiedColumns[index], isGreater[index] ? 'asc' : 'desc');
+                    }
+                });
 
-                        // Add columns to query
-                        internals.model.query((qb) => {
+                // Sort values must be selected in order to build cursors
+                if (internals.getFieldsKey('') !== undefined){
+                    qb.select(qualifiedColumns);
+                }
 
-                            if (!fieldKey){
-                                qb.distinct();
-                            }
+                if (values){
+                    if (internals.client !== 'sqlite3' && _uniq(isGreater).length === 1 && !_some(columns, internals.isNullable)){
+                        qb.whereRaw(`(${_map(columns, () => '??').join(', ')}) ${isGreater[0] ? '>' : '<'} (${_map(values, () => '?').join(', ')})`,
+                            qualifiedColumns.concat(values));
+                    }
+                    else {
+                        qb.where((qbKeyset) => {
 
-                            _forEach(fieldNames[fieldKey], (column) => {
+                            _forEach(qualifiedColumns, (column, index) => {
 
-                                if (column.aggregateFunction) {
-                                    qb[column.aggregateFunction](`${column.column} as ${column.aggregateFunction}`);
-                                } else {
-                                    qb.select([column]);
+                                // No value is lower than null
+                                if (values[index] === null && !isGreater[index]){
+                                    return;
                                 }
-                            });
 
-                            // JSON API considers relationships as fields, so we
-                            // need to make sure the id of the relation is selected
-                            _forEach(include, (relation) => {
+                                qbKeyset.orWhere((qbColumn) => {
 
-                                if (internals.isBelongsToRelation(relation, this)) {
-                                    const relatedData = this.related(relation).relatedData;
-                                    const relationId = relatedData.foreignKey ? relatedData.foreignKey : `${inflection.singularize(relatedData.parentTableName)}_${relatedData.parentIdAttribute}`;
-                                    qb.select(`${internals.modelName}.${relationId}`);
-                                }
+                                    for (let i = 0; i < index; ++i) {
+                                        qbColumn.where(qualifiedColumns[i], values[i]);
+                                    }
+
+                                    if (values[index] === null){
+                                        qbColumn.whereNotNull(column);
+                                    }
+                                    else if (isGreater[index]){
+                                        qbColumn.where(column, '>', values[index]);
+                                    }
+                                    else {
+                                        qbColumn.where((qbLower) => qbLower.where(column, '<', values[index]).orWhereNull(column));
+                                    }
+                                });
                             });
                         });
                     }
-                });
+                }
 
+                qb.limit(size + 1);
+            });
+        };
+
+        /**
+         * Records how the result was fetched so that `toJsonApiDocument` can serialize
+         * it, and serializes it right away when the `serialize` option is set. The
+         * option may be an object with the options of `toJsonApiDocument`.
+         * @param   result {object|null}
+         * @return  {object|null}
+         */
+        internals.describeResult = (result) => {
+
+            if (result){
+                result.jsonApi = {
+                    type: internals.type,
+                    idAttribute: internals.idAttribute,
+                    fields: internals.requestedFields
+                };
+            }
 
+            if (opts.serialize){
+                return toJsonApiDocument(result, _isPlainObject(opts.serialize) ? opts.serialize : {});
             }
+
+            return result;
         };
 
         /**
-         * Build a query based on the `filters` parameter.
-         * @param  filterValues {object|array}
+         * Trims the extra record fetched by `buildCursor`, restores the requested
+         * order and exposes the cursors of the previous and next pages as
+         * `pagination.prevCursor` and `pagination.nextCursor`.
+         * @param   result {object}
+         * @return  {object}
          */
-        internals.buildFilters = (filterValues) => {
+        internals.paginateCursor = (result) => {
 
-            if (_isObjectLike(filterValues) && !_isEmpty(filterValues)) {
-                // format the column names of the filters
-                //filterValues = this.format(filterValues);
+            const { size, columns, values } = internals.cursor;
+            const hasMore = result.length > size;
+            const cursorOf = (model) => {
 
-                // build the filter query
-                internals.model.query((qb) => {
+                const attributes = model.format(_assign({}, model.attributes));
 
-                    _forEach(filterValues, (value, key) => {
+                return encodeCursor(_map(columns, (column) => attributes[column.column]));
+            };
 
-                        // If the value is a filter type
-                        if (_isObjectLike(value)){
-                            // Format column names of filter types
-                            const filterTypeValues = value;
+            if (hasMore){
+                result.remove(result.at(size));
+            }
 
-                            // Check if filter type is valid
-                            if (_includes(filterTypes, key)){
-                                // Loop through each value for the valid filter type
-                                _forEach(filterTypeValues, (typeValue, typeKey) => {
+            if (internals.isReversed()){
+                result.models.reverse();
+            }
 
-                                    // Remove all but the last table name, need to get number of dots
-                                    typeKey = internals.formatRelation(internals.formatColumnNames([typeKey])[0]);
+            // There is a next page if more records were found going forward, or if we
+            // came back from a later page. The same goes for the previous page.
+            const hasNext = internals.isReversed() ? Boolean(values) : hasMore;
+            const hasPrev = internals.isReversed() ? hasMore : Boolean(values);
 
-                                    // Determine if there are multiple filters to be applied
-                                    let valueArray = null;
-                                    if (!_isArray(typeValue)){
-                                        valueArray = typeValue !== null && typeValue !== 'null' ? split(typeValue.toString(), { keepQuotes: true, sep: ',' }) : [null];
-                                    }
-                                    else {
-                                        valueArray = typeValue;
-                                    }
+            result.pagination = {
+                size,
+                nextCursor: hasNext && result.length ? cursorOf(result.last()) : null,
+                prevCursor: hasPrev && result.length ? cursorOf(result.first()) : null
+            };
 
-                                    // Attach different query for each type
-                                    if (key === 'like'){
-
-                                        qb.where((qbWhere) => {
-
-                                            if (_isArray(valueArray)){
-                                                let where = 'where';
-                                                _forEach(valueArray, (val) => {
-
-                                                    qbWhere[where](
-                                                        Bookshelf.knex.raw(`LOWER(CAST(:typeKey: AS ${internals.textType})) like LOWER(:value)`, {
-                                                            value: `%${val}%`,
-                                                            typeKey
-                                                        })
-                                                    );
-
-                                                    // Change to orWhere after the first where
-                                                    if (where === 'where'){
-                                                        where = 'orWhere';
-                                                    }
-                                                });
-                                            }
-                                            else {
-                                                qbWhere.where(
-                                                    Bookshelf.knex.raw(`LOWER(CAST(:typeKey: AS ${internals.textType})) like LOWER(:value)`, {
-                                                        value: `%${val}%`,
-                                                        typeKey
-                                                    })
-                                                );
-                                            }
-
-                                            // If the key is in the top level filter, filter on orWhereIn
-                                            if (_hasIn(filterValues, typeKey)){
-                                                // Determine if there are multiple filters to be applied
-                                                value = filterValues[typeKey].toString().indexOf(',') !== -1 ? filterValues[typeKey].split(',') : filterValues[typeKey];
-                                                qbWhere.orWhereIn(typeKey, value);
-                                            }
-                                        });
-                                    }
-                                    else if (key === 'not'){
-                                        if (valueArray.find((val) => val === null || val === 'null') !== undefined) {
-                                            qb.whereNotNull(typeKey);
-                                            valueArray = valueArray.filter((val) => val !== null && val !== 'null');
-                                        }
-                                        qb.whereNotIn(typeKey, valueArray);
-                                    }
-                                    else if (key === 'lt'){
-                                        qb.where(typeKey, '<', typeValue);
-                                    }
-                                    else if (key === 'gt'){
-                                        qb.where(typeKey, '>', typeValue);
-                                    }
-                                    else if (key === 'lte'){
-                                        qb.where(typeKey, '<=', typeValue);
-                                    }
-                                    else if (key === 'gte'){
-                                        qb.where(typeKey, '>=', typeValue);
-                                    }
-                                });
-                            }
-                        }
-                        // If the value is an equality filter
-                        else {
-                            // If the key is in the like filter, ignore the filter
-                            if (!_hasIn(filterValues.like, key)){
-                                // Remove all but the last table name, need to get number of dots
-                                key = internals.formatRelation(internals.formatColumnNames([key])[0]);
-                                value = value === 'null' ? null : value;
-
-                                if (_isNull(value)){
-                                    qb.where(key, value);
-                                }
-                                else {
-                                    // Determine if there are multiple filters to be applied
-                                    if (!_isArray(value)){
-                                        value = split(value.toString(), { keepQuotes: true, sep: ',' });
-                                    }
-                                    if (value.find((val) => val === null || val === 'null') !== undefined){
-                                        value = value.filter((val) => val !== 'null' && val !== null);
-                                        qb.where((qbWhere) => {
-
-                                            qbWhere.whereNull(key);
-                                            if (!_isEmpty(value)){
-                                                qbWhere.orWhereIn(key, value);
-                                            }
-                                        });
-                                    }
-                                    else {
-                                        qb.whereIn(key, value);
-                                    }
-                                }
-                            }
-                        }
-                    });
-                });
-            }
+            return result;
         };
 
         /**
-         * Takes in an attribute string like a.b.c.d and returns c.d, also if attribute
-         * looks like 'a', it will return tableName.a where tableName is the top layer table name
-         * @param   attribute {string}
-         * @return  {string}
+         * Describes the query built from the parameters, returned instead of the
+         * records by a dry run. The SQL is the one Bookshelf runs to fetch the
+         * primary records, which selects every column of the table when no column
+         * is selected.
+         * @param   counter {object}
+         *     The query counting the records of a page, if any
+         * @return  {object}
          */
-        internals.formatRelation = (attribute) => {
+        internals.describeQuery = (counter) => {
 
-            if (_includes(attribute, '.')){
-                const splitKey = attribute.split('.');
-                attribute = `${splitKey[splitKey.length - 2]}.${splitKey[splitKey.length - 1]}`;
-            }
-            // Add table name to before column name if no relation to avoid ambiguous columns
-            else {
-                attribute = `${internals.modelName}.${attribute}`;
+            const query = internals.model.query().clone();
+
+            if (!_some(query._statements, (statement) => statement.grouping === 'columns' && !_isEmpty(statement.value))){
+                query.select(opts.columns || `${_result(this, 'tableName')}.*`);
             }
-            return attribute;
+
+            return {
+                model: internals.model,
+                query,
+                sql: query.toSQL(),
+                countSql: counter ? counter.toSQL() : null,
+                withRelated: opts.withRelated || [],
+                page: internals.page && _assign({ count: internals.countPage }, internals.page),
+                cursor: internals.cursor
+            };
         };
 
         /**
-         * Takes an array from attributes and returns the only the columns and removes the table names
-         * @param   attributes {array}
-         * @return  {array}
+         * Determines if the query aggregates records, either with the `group` parameter
+         * or with aggregate functions in the fields of the primary resource.
+         * @return  {boolean}
          */
-        internals.getColumnNames = (attributes) => {
+        internals.isAggregated = () => {
 
-            return _map(attributes, (attribute) => {
+            const fieldValues = internals.requestedFields[internals.getFieldsKey('')];
 
-                return attribute.substr(attribute.lastIndexOf('.') + 1);
-            });
+            return !_isEmpty(group) || _some(fieldValues, (value) => internals.stripAggregate(value) !== value);
         };
 
         /**
-         * Build a query based on the `include` parameter.
-         * @param  includeValues {array}
+         * Determines if the records are grouped by id, since the relations joined to
+         * the query repeat the rows of a record. Limits and offsets of a page then apply
+         * to records rather than rows, as the page count does, and a record found by
+         * `filter[search]` in several related records is returned once.
+         * @return  {boolean}
          */
-        internals.buildIncludes = (includeValues) => {
+        internals.isDistinctPage = () => {
 
-            if (_isArray(includeValues) && !_isEmpty(includeValues)) {
-
-                const relations = [];
-
-                _forEach(includeValues, (relation) => {
+            const isDistinct = internals.page || internals.cursor || !_isEmpty(internals.searchTerms);
 
-                    if (_has(fields, relation)) {
+            return Boolean(isDistinct && internals.repeatsRows && !internals.isAggregated());
+        };
 
-                        const fieldNames = internals.formatColumnNames(fields);
+        /**
+         * Groups the records by id, see `isDistinctPage()`.
+         */
+        internals.buildDistinctPage = () => {
 
-                        relations.push({
-                            [relation]: (qb) => {
+            if (internals.isDistinctPage()){
+                internals.model.query((qb) => qb.groupBy(`${internals.modelName}.${internals.idAttribute}`));
+            }
+        };
 
-                                if (!internals.isBelongsToRelation(relation, this)) {
-                                    const relatedData = this[relation]().relatedData;
-                                    const foreignKey = relatedData.foreignKey ? relatedData.foreignKey : `${inflection.singularize(relatedData.parentTableName)}_${relatedData.parentIdAttribute}`;
+        /**
+         * Orders the query by an expression. When a page is grouped by id, expressions
+         * that may read joined rows are aggregated: the lowest value of a record is used
+         * in ascending order and the highest in descending order.
+         * @param   expression {string|object}
+         * @param   direction {string}
+         * @param   isAggregated {boolean} Whether the expression has to be aggregated
+         */
+        internals.orderByExpression = (expression, direction, isAggregated) => {
 
-                                    if (!_includes(fieldNames[relation], foreignKey)){
-                                        qb.column.apply(qb, [foreignKey]);
-                                    }
-                                }
-                                fieldNames[relation] = internals.getColumnNames(fieldNames[relation]);
-                                if (!_includes(fieldNames[relation], 'id')){
-                                    qb.column.apply(qb, ['id']);
-                                }
-                                qb.column.apply(qb, [fieldNames[relation]]);
-                            }
-                        });
-                    }
-                    else {
-                        relations.push(relation);
-                    }
-                });
+            internals.model.query((qb) => {
 
-                // Assign the relations to the options passed to fetch/All
-                _assign(opts, { withRelated: relations });
-            }
+                if (isAggregated && internals.isDistinctPage()){
+                    qb.orderByRaw(`${direction === 'asc' ? 'min' : 'max'}(${typeof expression === 'string' ? '??' : '?'}) ${direction}`, [expression]);
+                }
+                else {
+                    qb.orderBy(expression, direction);
+                }
+            });
         };
 
         /**
-         * Build a query based on the `sort` parameter.
-         * @param  sortValues {array}
+         * Fetches a page of records. Unlike `fetchPage()` of bookshelf-page, the total
+         * counts the records actually returned: the groups of a grouped query, a single
+         * record for aggregates, and each record once when joins repeat its rows. When
+         * `page[count]` is false, the total isn't counted and one extra record is fetched
+         * to tell whether there is a next page.
+         * @return  {Promise<Collection>}
          */
-        internals.buildSort = (sortValues = []) => {
+        internals.fetchPage = () => {
 
+            const usingOffset = _has(internals.page, 'offset');
+            const size = internals.pageSize;
+            const offset = usingOffset ? internals.page.offset : size * (internals.page.page - 1);
+            const pagination = usingOffset ? { offset, limit: size } : { page: internals.page.page, pageSize: size };
+            const counter = internals.countPage ? internals.buildCount() : null;
 
-            if (_isArray(sortValues) && !_isEmpty(sortValues)) {
+            internals.buildDistinctPage();
 
-                let sortDesc = [];
+            internals.model.query((qb) => {
 
-                for (let i = 0; i < sortValues.length; ++i) {
+                qb.limit(internals.countPage ? size : size + 1).offset(offset);
+            });
 
-                    // Determine if the sort should be descending
-                    if (typeof sortValues[i] === 'string' && sortValues[i][0] === '-') {
-                        sortValues[i] = sortValues[i].substring(1);
-                        sortDesc.push(sortValues[i]);
+            if (opts.dryRun){
+                return internals.describeQuery(counter);
+            }
+
+            return Promise.join(internals.model.fetchAll(opts), counter, (result, rows) => {
+
+                if (counter){
+                    pagination.rowCount = rows.length ? parseInt(_values(rows[0])[0], 10) : 0;
+                    pagination.pageCount = Math.ceil(pagination.rowCount / size);
+                }
+                else {
+                    pagination.hasMore = result.length > size;
+
+                    if (pagination.hasMore){
+                        result.remove(result.last());
                     }
                 }
 
-                // Format column names according to Model settings
-                sortDesc = internals.formatColumnNames(sortDesc);
-                sortValues = internals.formatColumnNames(sortValues);
+                return _assign(result, { pagination });
+            });
+        };
 
-                _forEach(sortValues, (sortBy) => {
+        /**
+         * Returns a query counting the records matched by the main query, before it is
+         * paged. Grouped queries and aggregates are counted by wrapping them in a subquery,
+         * other queries count the distinct ids of the records.
+         * @return  {object}
+         */
+        internals.buildCount = () => {
 
-                    if (sortBy) {
-                        internals.model.orderBy(
-                            internals.formatRelation(sortBy),
-                            sortDesc.indexOf(sortBy) === -1 ? 'asc' : 'desc'
-                        );
-                    }
-                });
+            const isAggregated = internals.isAggregated();
+            const qb = internals.model.query().clone();
+            let counter;
+
+            // Ordering is unnecessary for a count
+            _remove(qb._statements, (statement) => statement.grouping === 'order');
+
+            if (isAggregated){
+                counter = Bookshelf.knex.count('* as count').from(qb.as('counted'));
+            }
+            else {
+                _remove(qb._statements, (statement) => statement.grouping === 'columns');
+                counter = qb.countDistinct(`${internals.modelName}.${internals.idAttribute} as count`);
             }
+
+            return opts.transacting ? counter.transacting(opts.transacting) : counter;
         };
 
         /**
@@ -602,7 +3594,8 @@ export default (Bookshelf, options = {}) => {
 
             if (_isArray(groupValues) && !_isEmpty(groupValues)) {
 
-                groupValues = internals.formatColumnNames(groupValues);
+                // Columns are qualified since `filter[having]` may join relations
+                groupValues = _map(groupValues, (groupBy) => internals.getPathExpression(groupBy) || internals.formatRelation(internals.formatColumnNames([groupBy])[0]));
 
                 internals.model.query((qb) => {
 
@@ -614,6 +3607,35 @@ export default (Bookshelf, options = {}) => {
             }
         };
 
+        /**
+         * Build a query based on the `filter[having]` parameter. Each filter compares
+         * an aggregate of the grouped records with its values in a `having` clause.
+         */
+        internals.buildHaving = () => {
+
+            const havingFilters = internals.getHavingFilters();
+
+            if (_isEmpty(havingFilters)){
+                return;
+            }
+
+            internals.model.query((qb) => {
+
+                _forEach(havingFilters, ({ key, filterType, value }) => {
+
+                    const { aggregateFunction, attribute } = internals.parseAggregate(key);
+                    const column = internals.formatFilterColumn(attribute);
+                    const values = internals.coerceFilterValues(key, filterType, internals.splitFilterValue(value));
+                    const [comparison, bindings] = filterType ?
+                        havingOperators[filterType](values) :
+                        [`in (${_map(values, () => '?').join(', ')})`, values];
+
+                    // Computed attributes and JSON paths are expressions rather than identifiers
+                    qb.havingRaw(`${aggregateFunction}(${typeof column === 'string' ? '??' : '?'}) ${comparison}`, [column].concat(bindings));
+                });
+            });
+        };
+
         /**
          * Turn a column into its {@link Model#format} format
          * leaving specified table names untouched.
@@ -725,57 +3747,207 @@ export default (Bookshelf, options = {}) => {
         /// Process parameters
         ////////////////////////////////
 
-        // Apply relational dependencies for filters, grouping and sorting
-        internals.buildDependencies(filter, group, sort);
+        /**
+         * Builds the query of the validated parameters and fetches the records.
+         * @return  {Promise}
+         */
+        internals.fetch = () => {
 
-        // Apply filters
-        internals.buildFilters(filter);
+            return Promise.try(() => {
 
-        // Apply grouping
-        internals.buildGroup(group);
+                // Apply the default scope of the model
+                internals.model.query((qb) => internals.applyScope(qb, this, internals.modelName));
 
-        // Apply sorting
-        internals.buildSort(sort);
+                // Apply relational dependencies for filters, grouping and sorting
+                internals.buildDependencies(filter, group, sort);
 
-        // Apply relations
-        internals.buildIncludes(include);
+                // Apply filters
+                internals.buildFilters(filter);
 
-        // Apply sparse fieldsets
-        internals.buildFields(fields);
+                // Apply the search
+                internals.buildSearch();
 
-        // Apply extra query which was passed in as a parameter
-        if (_isFunction(additionalQuery)){
-            internals.model.query(additionalQuery);
-        }
+                // Apply grouping
+                internals.buildGroup(group);
 
-        // Assign default paging options if they were passed to the plugin
-        // and no pagination parameters were passed directly to the method.
-        if (isCollection &&
-            _isEmpty(page) &&
-            _has(options, 'pagination')) {
+                // Apply filters on the aggregates of the groups
+                internals.buildHaving();
 
-            _assign(page, options.pagination);
-        }
+                // Apply sorting
+                internals.buildSort(sort);
 
-        // Apply paging
-        if (isCollection &&
-            _isObject(page) &&
-            !_isEmpty(page)) {
+                // Apply relations
+                internals.buildIncludes(include);
 
-            const pageOptions = _assign(opts, page);
+                // Apply sparse fieldsets
+                internals.buildFields();
 
-            return internals.model.fetchPage(pageOptions);
-        }
+                // Apply extra query which was passed in as a parameter
+                if (_isFunction(additionalQuery)){
+                    internals.model.query(additionalQuery);
+                }
 
-        // Determine whether to return a Collection or Model
+                // Let the hooks add their own constraints, i.e. to scope the query to the current user
+                return runHooks(getHooks(this, 'beforeJsonApiQuery'), internals.getHookArguments());
+            })
+                .then(() => {
 
-        // Call `fetchAll` to return Collection
-        if (isCollection) {
-            return internals.model.fetchAll(opts);
-        }
+                    // Apply cursor paging
+                    if (internals.cursor) {
+                        internals.buildCursor();
+                        internals.buildDistinctPage();
+
+                        return opts.dryRun ? internals.describeQuery() : internals.model.fetchAll(opts).then(internals.paginateCursor);
+                    }
+
+                    // Apply paging
+                    if (internals.page) {
+                        return internals.fetchPage();
+                    }
+
+                    internals.buildDistinctPage();
+
+                    // Return the query instead of executing it
+                    if (opts.dryRun) {
+                        return internals.describeQuery();
+                    }
+
+                    // Determine whether to return a Collection or Model
+
+                    // Call `fetchAll` to return Collection
+                    if (isCollection) {
+                        return internals.model.fetchAll(opts);
+                    }
+
+                    // Otherwise, call `fetch` to return Model
+                    return internals.model.fetch(opts);
+                });
+        };
+
+        /**
+         * Returns the argument passed to the `beforeJsonApiQuery` and `afterJsonApiFetch`
+         * hooks: the parameters, the model holding the query and the caller's context.
+         * @return  {object}
+         */
+        internals.getHookArguments = () => {
 
-        // Otherwise, call `fetch` to return Model
-        return internals.model.fetch(opts);
+            return { opts, context: opts.context, model: internals.model, isCollection, type: internals.type };
+        };
+
+        /**
+         * Lets the `afterJsonApiFetch` hooks inspect or replace the fetched records,
+         * then describes them. Dry runs resolve with the description of the query as is.
+         * @param   result {object|null}
+         * @return  {Promise<object|null>}
+         */
+        internals.afterFetch = (result) => {
+
+            if (opts.dryRun){
+                return result;
+            }
+
+            return runHooks(getHooks(this, 'afterJsonApiFetch'), _assign(internals.getHookArguments(), { result }), 'result')
+                .then(internals.describeResult);
+        };
+
+        /**
+         * Returns the cache key of the validated request, built from the model, its initial
+         * query, the normalized parameters and the generation of every table the
+         * request reads. Returns null for requests that aren't cached: dry runs,
+         * requests in a transaction, requests with query callbacks or
+         * `beforeJsonApiQuery` hooks and requests reading models with a default scope.
+         * @return  {string|null}
+         */
+        internals.getCacheKey = () => {
+
+            const callbacks = _some([additionalQuery].concat(_flatMap(include, (relation) => {
+
+                return _isPlainObject(relation) ? _values(relation) : [];
+            })).concat(_flatMap(getHooks(this, 'beforeJsonApiQuery'), (hook) => [].concat(hook || []))), _isFunction);
+
+            if (!cache || opts.cache === false || opts.dryRun || opts.transacting || callbacks){
+                return null;
+            }
+
+            const paths = _map(internals.getIncludePaths(), (path) => path.split('.'));
+            const attributes = _map(sort, (value) => String(value).replace(/^-/, ''))
+                .concat(group || [], internals.getSearchable(), _flatMap(_values(includeFilters), _keys))
+                .concat(_map(internals.getHavingFilters(), ({ key }) => internals.stripAggregate(key)));
+
+            internals.forEachFilter(filter, (attribute) => attributes.push(attribute));
+
+            _forEach(attributes, (attribute) => {
+
+                // Relationship aggregates are made of a relation path and an attribute
+                const aggregate = internals.parseAggregateSort(attribute);
+                const { relations } = internals.splitPath(aggregate ? `${aggregate.relation}.${aggregate.attribute}` : String(attribute));
+
+                paths.push(relations);
+            });
+
+            const models = [this];
+            const pivotTables = [];
+
+            _forEach(paths, (relations) => {
+
+                _reduce(relations, (model, relation) => {
+
+                    const relatedData = model && internals.getRelatedData(relation, model);
+                    const relatedModel = model && internals.getRelatedModel(relation, model);
+
+                    // Pivot tables change without firing events on the related models
+                    if (relatedData && (relatedData.type === 'belongsToMany' || relatedData.isThrough())){
+                        pivotTables.push(relatedData.joinTable());
+                    }
+
+                    models.push(...(relatedModel ? relatedModel.morphCandidates || [relatedModel] : []));
+
+                    return relatedModel;
+                }, this);
+            });
+
+            // Default scopes may depend on the context of the request
+            if (_some(models, (model) => _isFunction((model.jsonApiParams || {}).scope))){
+                return null;
+            }
+
+            const tableNames = _map(models, (model) => _result(model, 'tableName')).concat(pivotTables);
+
+            return JSON.stringify({
+                model: _result(this, 'tableName'),
+                query: this.query().toString(),
+                generations: _map(_sortBy(_uniq(tableNames)), (tableName) => [tableName, cacheGenerations[tableName] || 0]),
+                params: normalizeParams(_pick(opts, ['filter', 'fields', 'sort', 'page', 'group', 'serialize'])),
+                include: _sortBy(internals.getIncludePaths()),
+                type: type || null,
+                isCollection,
+                pagination: options.pagination || null
+            });
+        };
+
+        ////////////////////////////////
+        /// Fetch the records
+        ////////////////////////////////
+
+        // Reject invalid parameters before any query is built, or any relation path is resolved for the cache key
+        return internals.validateParameters().then(() => {
+
+            const cacheKey = internals.getCacheKey();
+
+            if (!cacheKey){
+                return internals.fetch();
+            }
+
+            return Promise.resolve(cacheStore.get(cacheKey)).then((cached) => {
+
+                if (cached !== undefined){
+                    return cloneResult(cached);
+                }
+
+                return internals.fetch().tap((result) => cacheStore.set(cacheKey, cloneResult(result), cache.ttl));
+            });
+        })
+            .then(internals.afterFetch);
     };
 
     // Add `fetchJsonApi()` method to Bookshelf Model/Collection prototypes
@@ -790,4 +3962,43 @@ export default (Bookshelf, options = {}) => {
 
         return fetchJsonApi.apply(this.model.forge(), ...args);
     };
+
+    /**
+     * Runs every step of {@link Model#fetchJsonApi} without fetching the records, and
+     * resolves with a description of the query: the prepared `model` and `query`
+     * builder, the `sql` of the query and `countSql` of the page count, the
+     * `withRelated` option built for the `include` parameter and the resolved `page`
+     * or `cursor` options. Takes the same arguments as `fetchJsonApi`.
+     * @return {Promise<Object>}
+     */
+    const toJsonApiQuery = function (opts, ...args) {
+
+        return fetchJsonApi.call(this, _assign({}, opts, { dryRun: true }), ...args);
+    };
+
+    Bookshelf.Model.prototype.toJsonApiQuery = toJsonApiQuery;
+
+    Bookshelf.Model.toJsonApiQuery = function (...args) {
+
+        return this.forge().toJsonApiQuery(...args);
+    };
+
+    Bookshelf.Collection.prototype.toJsonApiQuery = function (...args) {
+
+        return toJsonApiQuery.apply(this.model.forge(), args);
+    };
 };
+
+// Expose the query parser so raw query strings can be handed to `fetchJsonApi`
+jsonApiParams.parseJsonApiQuery = parseJsonApiQuery;
+
+// Expose the serializer so fetched results can be turned into JSON API documents
+jsonApiParams.toJsonApiDocument = toJsonApiDocument;
+
+// Expose the in-memory cache store so it can be configured or shared
+jsonApiParams.memoryStore = memoryStore;
+
+// Expose the error class so it can be recognized by error handlers
+jsonApiParams.JsonApiParamsError = JsonApiParamsError;
+
+export default jsonApiParams;
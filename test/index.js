@@ -91,6 +91,14 @@ describe('bookshelf-jsonapi-params', () => {
         }
     });
 
+    const CommentModel = repository.Model.extend({
+        tableName: 'comment',
+        commentable: function () {
+
+            return this.morphTo('commentable', PersonModel, ToyModel);
+        }
+    });
+
 
     before((done) => {
 
@@ -101,7 +109,8 @@ describe('bookshelf-jsonapi-params', () => {
         Promise.join(
             repository.knex.schema.dropTableIfExists('person'),
             repository.knex.schema.dropTableIfExists('pet'),
-            repository.knex.schema.dropTableIfExists('toy')
+            repository.knex.schema.dropTableIfExists('toy'),
+            repository.knex.schema.dropTableIfExists('comment')
         )
             .then(() => {
 
@@ -125,6 +134,13 @@ describe('bookshelf-jsonapi-params', () => {
                         table.increments('id').primary();
                         table.string('type');
                         table.integer('pet_id');
+                    }),
+                    repository.knex.schema.createTable('comment', (table) => {
+
+                        table.increments('id').primary();
+                        table.string('body');
+                        table.string('commentable_type');
+                        table.integer('commentable_id');
                     })
                 );
             })
@@ -201,6 +217,30 @@ describe('bookshelf-jsonapi-params', () => {
                         id: 2,
                         type: 'car',
                         pet_id: 2
+                    }),
+                    CommentModel.forge().save({
+                        id: 1,
+                        body: 'Scary',
+                        commentable_type: 'person',
+                        commentable_id: 3
+                    }),
+                    CommentModel.forge().save({
+                        id: 2,
+                        body: 'Fast',
+                        commentable_type: 'toy',
+                        commentable_id: 1
+                    }),
+                    CommentModel.forge().save({
+                        id: 3,
+                        body: 'Shiny',
+                        commentable_type: 'toy',
+                        commentable_id: 2
+                    }),
+                    CommentModel.forge().save({
+                        id: 4,
+                        body: 'Tiny',
+                        commentable_type: 'person',
+                        commentable_id: 5
                     })
                 );
             })
@@ -213,7 +253,8 @@ describe('bookshelf-jsonapi-params', () => {
         Promise.join(
             repository.knex.schema.dropTableIfExists('person'),
             repository.knex.schema.dropTableIfExists('pet'),
-            repository.knex.schema.dropTableIfExists('toy')
+            repository.knex.schema.dropTableIfExists('toy'),
+            repository.knex.schema.dropTableIfExists('comment')
         )
             .then(() => done());
     });
@@ -266,6 +307,80 @@ describe('bookshelf-jsonapi-params', () => {
         });
     });
 
+    describe('passing a `fields` parameter keyed by resource type', () => {
+
+        it('should apply the fields of a type to the record and every included record of that type', (done) => {
+
+            PersonModel
+                .where({ id: 1 })
+                .fetchJsonApi({
+                    include: ['pets.petOwner'],
+                    fields: {
+                        person: ['firstName']
+                    }
+                }, false)
+                .then((person) => {
+
+                    expect(person.attributes).to.deep.equal({ id: 1, firstName: 'Barney' });
+                    expect(person.related('pets').get('name')).to.equal('Big Bird');
+                    expect(person.related('pets').related('petOwner').attributes).to.deep.equal({ id: 1, firstName: 'Barney' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use the `type` declared in the `jsonApiParams` of a model', (done) => {
+
+            const TypedPersonModel = PersonModel.extend({
+                jsonApiParams: {
+                    type: 'people'
+                }
+            });
+
+            const TypedPetModel = PetModel.extend({
+                petOwner: function () {
+
+                    return this.belongsTo(TypedPersonModel, 'pet_owner_id');
+                }
+            });
+
+            TypedPetModel
+                .where({ id: 3 })
+                .fetchJsonApi({
+                    include: ['petOwner'],
+                    fields: {
+                        pet: ['name'],
+                        people: ['age']
+                    }
+                }, false)
+                .then((pet) => {
+
+                    expect(pet.attributes).to.deep.equal({ id: 3, name: 'Patches', pet_owner_id: 3 });
+                    expect(pet.related('petOwner').attributes).to.deep.equal({ id: 3, age: 70 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject fields for a type that is not fetched', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        toy: ['type']
+                    }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNKNOWN_TYPE');
+                    expect(err.source).to.deep.equal({ parameter: 'fields[toy]' });
+                    done();
+                });
+        });
+    });
+
     describe('passing a `filters` parameter with a single filter', () => {
 
         it('should return a single record with the matching id', (done) => {
@@ -612,389 +727,3301 @@ describe('bookshelf-jsonapi-params', () => {
     });
 
 
-    describe('passing a `filter` parameter for relationships', () => {
+    describe('passing the extended filter types', () => {
 
-        it('should return all records that have a pet with name', (done) => {
+        it('should return all records within the range of filter[between]', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        'pets.name': 'Big Bird'
+                        between: {
+                            age: '10,30'
+                        }
                     }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(1);
-                    expect(result.models[0].get('firstName')).to.equal('Barney');
+                    expect(_.map(result.models, (model) => model.get('firstName'))).to.deep.equal(['Barney', 'Baby Bop', 'Boo']);
                     done();
                 });
         });
 
-        it('should return the person named Cookie Monster', (done) => {
+        it('should reject filter[between] without exactly two values', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        firstName: 'Cookie Monster',
-                        gender: 'm'
+                        between: {
+                            age: '10'
+                        }
                     }
                 })
-                .then((result) => {
+                .catch((err) => {
 
-                    expect(result.models).to.have.length(1);
-                    expect(result.models[0].get('firstName')).to.equal('Cookie Monster');
+                    expect(err.code).to.equal('INVALID_FILTER_VALUE');
+                    expect(err.source.parameter).to.equal('filter[between][age]');
                     done();
                 });
         });
-    });
-
-    describe('passing a `sort` parameter', () => {
 
-        it('should return records sorted by type ascending (single word param name)', (done) => {
+        it('should return all records matching filter[in] and not matching filter[nin]', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
-                    sort: ['type']
+                    filter: {
+                        in: {
+                            type: 'monster,t-rex,nothing\\, here'
+                        },
+                        nin: {
+                            gender: 'f'
+                        }
+                    }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(5);
-                    expect(result.models[0].get('type')).to.equal(null);
-                    expect(result.models[1].get('type')).to.equal('monster');
+                    expect(_.map(result.models, (model) => model.get('firstName'))).to.deep.equal(['Barney', 'Cookie Monster']);
                     done();
                 });
         });
 
-        it('should return records sorted by type descending (single word param name)', (done) => {
+        it('should return all records matching filter[startsWith] or filter[endsWith]', (done) => {
 
-            PersonModel
-                .forge()
-                .fetchJsonApi({
-                    sort: ['-type']
-                })
-                .then((result) => {
+            Promise.join(
+                PersonModel.forge().fetchJsonApi({ filter: { startsWith: { firstName: 'b' } } }),
+                PersonModel.forge().fetchJsonApi({ filter: { endsWith: { firstName: 'o,ey' } } })
+            )
+                .then(([startsWith, endsWith]) => {
 
-                    expect(result.models).to.have.length(5);
-                    expect(result.models[0].get('type')).to.equal('triceratops');
+                    expect(_.map(startsWith.models, (model) => model.get('firstName'))).to.deep.equal(['Barney', 'Baby Bop', 'Boo']);
+                    expect(_.map(endsWith.models, (model) => model.get('firstName'))).to.deep.equal(['Barney', 'Boo', 'Elmo']);
                     done();
                 });
         });
 
-        it('should return records sorted by name ascending (multi-word param name)', (done) => {
+        it('should match wildcards of the values literally', (done) => {
+
+            const fetchNames = (filter) => PetModel.forge().fetchJsonApi({ filter, sort: ['id'] }).then((result) => result.pluck('name'));
+
+            repository.knex('pet').where('id', 3).update({ name: 'Patches 100%' })
+                .then(() => {
+
+                    return Promise.join(
+                        fetchNames({ startsWith: { name: '%' } }),
+                        fetchNames({ endsWith: { name: '0%' } }),
+                        fetchNames({ like: { name: '_' } }),
+                        fetchNames({ notLike: { name: '\\' } })
+                    );
+                })
+                .then(([startsWith, endsWith, like, notLike]) => {
+
+                    expect(startsWith).to.deep.equal([]);
+                    expect(endsWith).to.deep.equal(['Patches 100%']);
+                    expect(like).to.deep.equal([]);
+                    expect(notLike).to.have.length(5);
+                })
+                .finally(() => repository.knex('pet').where('id', 3).update({ name: 'Patches' }))
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should return all records that do not partially match filter[notLike]', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
-                    sort: ['firstName']
+                    filter: {
+                        notLike: {
+                            firstName: 'ba,mo'
+                        }
+                    }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(5);
-                    expect(result.models[0].get('firstName')).to.equal('Baby Bop');
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('firstName')).to.equal('Boo');
                     done();
                 });
         });
 
-        it('should return records sorted by name descending (multi-word param name)', (done) => {
+        it('should return all records matching filter[null] and filter[notNull]', (done) => {
 
-            PersonModel
-                .forge()
-                .fetchJsonApi({
-                    sort: ['-firstName']
-                })
-                .then((result) => {
+            Promise.join(
+                PersonModel.forge().fetchJsonApi({ filter: { null: { type: true } } }),
+                PersonModel.forge().fetchJsonApi({ filter: { notNull: { type: true } } }),
+                PersonModel.forge().fetchJsonApi({ filter: { null: { type: 'false' } } })
+            )
+                .then(([isNull, isNotNull, isNullFalse]) => {
 
-                    expect(result.models).to.have.length(5);
-                    expect(result.models[0].get('firstName')).to.equal('Elmo');
+                    expect(isNull.models).to.have.length(1);
+                    expect(isNull.models[0].get('firstName')).to.equal('Elmo');
+                    expect(isNotNull.models).to.have.length(4);
+                    expect(isNullFalse.models).to.have.length(4);
                     done();
                 });
         });
 
-        it('should sort on deeply nested resources', (done) => {
+        it('should apply the extended filter types to relationships', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
-                    include: ['pets', 'pets.toy'],
-                    sort: ['-pets.toy.type']
+                    filter: {
+                        startsWith: {
+                            'pets.name': 'g'
+                        }
+                    }
                 })
                 .then((result) => {
 
-                    expect(result.models[0].related('pets').related('toy').get('type')).to.equal('skate');
-                    expect(result.models[1].related('pets').related('toy').get('type')).to.equal('car');
+                    expect(_.map(result.models, (model) => model.get('firstName'))).to.deep.equal(['Barney', 'Baby Bop']);
                     done();
                 });
         });
     });
 
-    describe('passing an `include` parameter', () => {
+    describe('passing filter values of typed attributes', () => {
+
+        const TypedPersonModel = PersonModel.extend({
+            jsonApiParams: {
+                computed: {
+                    isAdult: 'case when {table}.age >= 18 then 1 else 0 end',
+                    birthDate: 'date(\'2000-01-01\', \'-\' || {table}.age || \' years\')'
+                },
+                attributes: {
+                    isAdult: 'boolean',
+                    birthDate: 'date'
+                }
+            }
+        });
 
-        it('should include the pets relationship', (done) => {
+        const BirthModel = repository.Model.extend({
+            tableName: 'birth'
+        });
 
-            PersonModel
-                .where({ id: 1 })
+        before((done) => {
+
+            repository.knex.schema.createTable('birth', (table) => {
+
+                table.increments('id').primary();
+                table.date('born');
+            })
+                .then(() => {
+
+                    return repository.knex('birth').insert([
+                        { id: 1, born: new Date('1990-04-01') },
+                        { id: 2, born: new Date('2000-01-01') },
+                        { id: 3, born: new Date('2015-08-15T12:30:00Z') }
+                    ]);
+                })
+                .then(() => done())
+                .catch(done);
+        });
+
+        after((done) => {
+
+            repository.knex.schema.dropTableIfExists('birth')
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should coerce values to the types declared on the model', (done) => {
+
+            TypedPersonModel
+                .forge()
                 .fetchJsonApi({
-                    include: ['pets']
-                }, false)
+                    filter: {
+                        isAdult: 'true',
+                        lt: { birthDate: '1975-06-01' }
+                    },
+                    sort: ['id']
+                })
                 .then((result) => {
 
-                    const relation = result.related('pets');
+                    expect(result.pluck('firstName')).to.deep.equal(['Baby Bop', 'Cookie Monster', 'Boo']);
+                    done();
+                })
+                .catch(done);
+        });
 
-                    expect(result).to.be.an('object');
-                    expect(relation).to.exist;
-                    expect(relation.get('name')).to.equal('Big Bird');
+        it('should compare dates with the values stored in date columns', (done) => {
+
+            Promise.all([
+                BirthModel.forge().fetchJsonApi({ filter: { born: '2000-01-01' } }),
+                BirthModel.forge().fetchJsonApi({ filter: { lt: { born: '2015-01-01' } }, sort: ['-born'] }),
+                BirthModel.forge().fetchJsonApi({ filter: { gte: { born: '2015-08-15T12:30:00Z' } } })
+            ])
+                .then(([equal, before, after]) => {
+
+                    expect(equal.pluck('id')).to.deep.equal([2]);
+                    expect(before.pluck('id')).to.deep.equal([2, 1]);
+                    expect(after.pluck('id')).to.deep.equal([3]);
                     done();
-                });
+                })
+                .catch(done);
         });
 
-        it('should include the pets relationship when `include` is a Knex function', (done) => {
+        it('should reject values that cannot be coerced to the column type', (done) => {
 
             PersonModel
-                .where({ id: 1 })
+                .forge()
                 .fetchJsonApi({
-                    include: [{
-                        'pets': (qb) => {
-
-                            qb.where({ name: 'Barney' });
-                        }
-                    }]
-                }, false)
-                .then((result) => {
-
-                    const relation = result.related('pets');
+                    filter: {
+                        lt: { age: '12 years' }
+                    }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
 
-                    expect(result).to.be.an('object');
-                    expect(relation.id).to.not.exist;
+                    expect(err.code).to.equal('INVALID_FILTER_VALUE');
+                    expect(err.detail).to.equal('"12 years" is not a valid integer value for "age"');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[lt][age]' });
                     done();
                 });
         });
-    });
-
-    describe('escape commas in filter', () => {
 
-        it('should escape the comma and find a result', (done) => {
+        it('should reject values that cannot be coerced to the declared type', (done) => {
 
-            PersonModel
+            TypedPersonModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        type: 'nothing\\, here'
+                        or: [{ isAdult: 'maybe' }, { birthDate: '2000-01-01,yesterday' }]
                     }
-                }, false)
-                .then((result) => {
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
 
-                    expect(result).to.be.an('object');
-                    expect(result.get('firstName')).to.equal('Boo');
+                    expect(err.code).to.equal('INVALID_FILTER_VALUE');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[or][0][isAdult]' });
                     done();
                 });
         });
 
-        it('should find no results if comma is not escaped', (done) => {
+        it('should leave values of attributes with unknown types untouched', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        type: 'nothing, here'
+                        id: '1,null',
+                        gender: '1'
                     }
-                }, false)
+                })
                 .then((result) => {
 
-                    expect(result).to.equal(null);
+                    expect(result.length).to.equal(0);
                     done();
-                });
+                })
+                .catch(done);
         });
     });
 
-    describe('like filtering on non-text fields', () => {
+    describe('registering custom filter types', () => {
 
-        it('should return the should return all record that have an age that contains the digit "2"', (done) => {
+        const customRepository = Bookshelf(repository.knex);
+        const received = [];
 
-            PersonModel
+        customRepository.plugin(JsonApiParams, {
+            operators: {
+                divisibleBy: (qb, column, values, dialect) => {
+
+                    received.push({ column, values, dialect });
+                    qb.whereRaw('?? % ? = 0', [column, Number(values[0])]);
+                }
+            }
+        });
+
+        const CustomPetModel = customRepository.Model.extend({
+            tableName: 'pet'
+        });
+
+        const CustomPersonModel = customRepository.Model.extend({
+            tableName: 'person',
+            jsonApiParams: {
+                operators: {
+                    longerThan: (qb, column, values) => qb.whereRaw('length(??) > ?', [column, Number(values[0])]),
+                    like: (qb, column, values) => qb.whereIn(column, values)
+                }
+            },
+            pets: function () {
+
+                return this.hasMany(CustomPetModel, 'pet_owner_id');
+            }
+        });
+
+        it('should apply filter types registered through the plugin options', (done) => {
+
+            CustomPersonModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        like: {
-                            age: '2'
+                        divisibleBy: {
+                            age: '5'
                         }
                     }
                 })
                 .then((result) => {
-                    expect(result.models).to.have.length(3);
-                    expect(result.models[0].get('firstName')).to.equal('Barney');
-                    expect(result.models[1].get('firstName')).to.equal('Baby Bop');
-                    expect(result.models[2].get('firstName')).to.equal('Boo');
+
+                    expect(_.map(result.models, (model) => model.get('first_name'))).to.deep.equal(['Baby Bop', 'Cookie Monster']);
+                    expect(received[0]).to.deep.equal({ column: 'person.age', values: ['5'], dialect: 'sqlite3' });
                     done();
                 });
         });
-    });
-
-    describe('passing a `fields` parameter with an aggregate function', () => {
 
-        it('should return the total count of records', (done) => {
+        it('should apply filter types registered on the model to relationships', (done) => {
 
-            PersonModel
+            CustomPersonModel
                 .forge()
                 .fetchJsonApi({
-                    fields: {
-                        person: ['count(id)']
+                    filter: {
+                        longerThan: {
+                            'pets.name': 8
+                        }
                     }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(1);
-                    expect(result.models[0].get('count')).to.equal(5);
+                    expect(_.map(result.models, (model) => model.get('first_name'))).to.deep.equal(['Baby Bop']);
                     done();
                 });
         });
 
-        it('should return the average age per gender', (done) => {
+        it('should let a model override a built-in filter type', (done) => {
 
-            PersonModel
+            CustomPersonModel
                 .forge()
                 .fetchJsonApi({
-                    fields: {
-                        person: ['avg(age)','gender']
-                    },
-                    group: ['gender']
+                    filter: {
+                        like: {
+                            first_name: 'Boo,Elmo'
+                        }
+                    }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(2);
-                    expect(result.models[0].get('gender')).to.equal('f');
-                    expect(result.models[0].get('avg')).to.equal((25 + 28) / 2);
-                    expect(result.models[1].get('gender')).to.equal('m');
-                    expect(result.models[1].get('avg')).to.equal((12 + 70 + 3) / 3);
+                    expect(_.map(result.models, (model) => model.get('first_name'))).to.deep.equal(['Boo', 'Elmo']);
                     done();
                 });
         });
 
-        it('should return the sum of the ages of persons with firstName containing \'Ba\'', (done) => {
+        it('should not expose filter types registered on another model', (done) => {
 
-            PersonModel
+            CustomPetModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        like: {
-                            first_name: 'Ba'
+                        longerThan: {
+                            name: 8
                         }
-                    },
-                    fields: {
-                        person: ['sum(age)']
                     }
                 })
-                .then((result) => {
+                .catch((err) => {
 
-                    expect(result.models).to.have.length(1);
-                    expect(result.models[0].get('sum')).to.equal(37);
+                    expect(err.code).to.equal('INVALID_FILTER_OPERATOR');
                     done();
                 });
         });
     });
 
-    describe('passing in an additional query', () => {
+    describe('passing `or`, `and` and `not` filter groups', () => {
 
-        it('should return the total count of records', (done) => {
+        it('should return records matching either member of an `or` group', (done) => {
 
             PersonModel
                 .forge()
-                .fetchJsonApi({}, undefined, undefined, (qb) => {
+                .fetchJsonApi(JsonApiParams.parseJsonApiQuery('filter[or][0][firstName]=Barney&filter[or][1][like][firstName]=coo'))
+                .then((result) => {
 
-                    qb.count('id');
+                    expect(result.models).to.have.length(2);
+                    expect(result.models[0].get('firstName')).to.equal('Barney');
+                    expect(result.models[1].get('firstName')).to.equal('Cookie Monster');
+                    done();
+                });
+        });
+
+        it('should treat every condition of a non-indexed group as a member', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        or: {
+                            gender: 'f',
+                            lt: {
+                                age: 5
+                            }
+                        }
+                    }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(1);
-                    expect(result.models[0].get('countId')).to.equal(5);
+                    expect(result.models).to.have.length(3);
+                    expect(result.models[0].get('firstName')).to.equal('Baby Bop');
+                    expect(result.models[1].get('firstName')).to.equal('Boo');
+                    expect(result.models[2].get('firstName')).to.equal('Elmo');
                     done();
                 });
         });
 
-        it('should return the average age per gender', (done) => {
+        it('should nest groups and combine them with other filters', (done) => {
 
             PersonModel
                 .forge()
-                .fetchJsonApi({}, undefined, undefined, (qb) => {
+                .fetchJsonApi({
+                    filter: {
+                        and: [
+                            {
+                                or: [
+                                    { gender: 'f' },
+                                    { lt: { age: 5 } }
+                                ]
+                            },
+                            {
+                                not: [
+                                    { like: { firstName: 'boo' } }
+                                ]
+                            }
+                        ],
+                        not: {
+                            firstName: 'Barney'
+                        }
+                    }
+                })
+                .then((result) => {
 
-                    qb.groupBy('gender').select('gender').avg('age');
+                    expect(result.models).to.have.length(2);
+                    expect(result.models[0].get('firstName')).to.equal('Baby Bop');
+                    expect(result.models[1].get('firstName')).to.equal('Elmo');
+                    done();
+                });
+        });
+
+        it('should join relations referenced inside a group', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        or: [
+                            { 'pets.name': 'Patches' },
+                            { firstName: 'Elmo' }
+                        ]
+                    }
                 })
                 .then((result) => {
 
                     expect(result.models).to.have.length(2);
-                    expect(result.models[0].get('gender')).to.equal('f');
-                    expect(result.models[0].get('avgAge')).to.equal((25 + 28) / 2);
-                    expect(result.models[1].get('gender')).to.equal('m');
-                    expect(result.models[1].get('avgAge')).to.equal((12 + 70 + 3) / 3);
+                    expect(result.models[0].get('firstName')).to.equal('Cookie Monster');
+                    expect(result.models[1].get('firstName')).to.equal('Elmo');
                     done();
                 });
         });
 
-        it('should return the sum of the ages of persons with firstName containing \'Ba\'', (done) => {
+        it('should report the parameter of an invalid condition inside a group', (done) => {
 
             PersonModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        like: {
-                            first_name: 'Ba'
-                        }
+                        or: [
+                            { firstName: 'Elmo' },
+                            { lt: { weight: 5 } }
+                        ]
                     }
-                }, undefined, undefined, (qb) => {
+                })
+                .catch((err) => {
 
-                    qb.sum('age');
+                    expect(err.code).to.equal('UNKNOWN_ATTRIBUTE');
+                    expect(err.source.parameter).to.equal('filter[or][1][lt][weight]');
+                    done();
+                });
+        });
+    });
+
+    describe('passing a `filter[search]` parameter', () => {
+
+        const SearchablePetModel = PetModel.extend({
+            jsonApiParams: {
+                searchable: ['name', 'petOwner.firstName']
+            }
+        });
+
+        it('should return records matching the search in any searchable attribute', (done) => {
+
+            SearchablePetModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        search: 'BAR'
+                    },
+                    sort: ['id']
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(1);
-                    expect(result.models[0].get('sumAge')).to.equal(37);
+                    expect(result.pluck('name')).to.deep.equal(['Big Bird', 'Grover']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should require every word of the search to match', (done) => {
+
+            SearchablePetModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        search: 'ba  bo',
+                        not: { id: 5 }
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('name')).to.deep.equal(['Godzilla']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should sort records by their relevance to the search', (done) => {
+
+            SearchablePetModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        search: 'b'
+                    },
+                    sort: ['-_score', 'id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([1, 5, 2, 4]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should return each record once when several related records match', (done) => {
+
+            const SearchablePersonModel = PersonModel.extend({
+                jsonApiParams: {
+                    searchable: ['firstName', 'pets.name']
+                }
+            });
+
+            SearchablePersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        search: 'r'
+                    },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([1, 2, 3]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject sorting by relevance without a search', (done) => {
+
+            SearchablePetModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-_score']
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_SORT_PARAMETER');
+                    done();
+                });
+        });
+
+        it('should reject searching models without searchable attributes', (done) => {
+
+            PetModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        search: 'b'
+                    }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('PARAMETER_NOT_ALLOWED');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[search]' });
                     done();
                 });
         });
     });
 
-    describe('Filtering by string values which contain quotes', () => {
+    describe('passing paths inside JSON columns', () => {
 
-        it('should maintain quotes when it builds the filter', (done) => {
+        const ProfileModel = repository.Model.extend({
+            tableName: 'profile',
+            jsonApiParams: {
+                jsonColumns: ['metadata']
+            }
+        });
 
-            PetModel
+        const ProfiledPersonModel = PersonModel.extend({
+            profile: function () {
+
+                return this.hasOne(ProfileModel, 'person_id');
+            }
+        });
+
+        before((done) => {
+
+            repository.knex.schema.createTable('profile', (table) => {
+
+                table.increments('id').primary();
+                table.integer('person_id');
+                table.json('metadata');
+            })
+                .then(() => {
+
+                    return repository.knex('profile').insert([
+                        { id: 1, person_id: 1, metadata: JSON.stringify({ color: 'red', size: 3, tags: ['big', 'purple'] }) },
+                        { id: 2, person_id: 2, metadata: JSON.stringify({ color: 'green', size: 5, tags: ['small'], 'shoe size': 'wide' }) },
+                        { id: 3, person_id: 3, metadata: JSON.stringify({ color: 'blue', size: 1 }) }
+                    ]);
+                })
+                .then(() => done())
+                .catch(done);
+        });
+
+        after((done) => {
+
+            repository.knex.schema.dropTableIfExists('profile')
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should filter and sort by paths inside JSON columns', (done) => {
+
+            ProfileModel
                 .forge()
                 .fetchJsonApi({
                     filter: {
-                        name: 'Benny "The Terror" Terrier'
+                        'metadata.color': 'red,blue'
+                    },
+                    sort: ['-metadata.size']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([1, 3]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should apply filter types to paths inside JSON columns', (done) => {
+
+            ProfileModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        gt: { 'metadata.size': 2 },
+                        like: { 'metadata.tags.0': 'BI' }
                     }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(1);
+                    expect(result.pluck('id')).to.deep.equal([1]);
                     done();
-                });
+                })
+                .catch(done);
+        });
+
+        it('should filter by keys that are not identifiers and reject the ones that cannot be quoted', (done) => {
+
+            Promise.join(
+                ProfileModel.forge().fetchJsonApi({ filter: { 'metadata.shoe size': 'wide' } }).reflect(),
+                ProfileModel.forge().fetchJsonApi({ filter: { 'metadata.shoe"size': 'wide' } }).reflect()
+            )
+                .then(([quoted, invalid]) => {
+
+                    expect(quoted.value().pluck('id')).to.deep.equal([2]);
+                    expect(invalid.reason().code).to.equal('UNKNOWN_ATTRIBUTE');
+                    expect(invalid.reason().source).to.deep.equal({ parameter: 'filter[metadata.shoe"size]' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should select paths inside JSON columns', (done) => {
+
+            ProfileModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        profile: ['id', 'metadata.color']
+                    },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.toJSON()).to.deep.equal([
+                        { id: 1, 'metadata.color': 'red' },
+                        { id: 2, 'metadata.color': 'green' },
+                        { id: 3, 'metadata.color': 'blue' }
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter by paths inside JSON columns of related models', (done) => {
+
+            ProfiledPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'profile.metadata.color': 'green'
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('firstName')).to.deep.equal(['Baby Bop']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should select and filter paths inside JSON columns of included models', (done) => {
+
+            ProfiledPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        include: {
+                            profile: { 'metadata.color': 'blue' }
+                        }
+                    },
+                    include: ['profile'],
+                    fields: {
+                        profile: ['metadata.color']
+                    },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.map((person) => person.related('profile').get('metadata.color'))).to.deep.equal([
+                        undefined, undefined, 'blue', undefined, undefined
+                    ]);
+                    done();
+                })
+                .catch(done);
         });
     });
 
+    describe('passing a `filter` parameter for relationships', () => {
 
+        it('should return all records that have a pet with name', (done) => {
 
-    describe('Sorting by multiple columns with a mix of camelCase values', () => {
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'pets.name': 'Big Bird'
+                    }
+                })
+                .then((result) => {
 
-        it('should generate valid SQL', (done) => {
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('firstName')).to.equal('Barney');
+                    done();
+                });
+        });
 
-            PetModel
+        it('should return the person named Cookie Monster', (done) => {
+
+            PersonModel
                 .forge()
                 .fetchJsonApi({
-                    sort: ['-petOwner.age', 'name']
+                    filter: {
+                        firstName: 'Cookie Monster',
+                        gender: 'm'
+                    }
                 })
                 .then((result) => {
 
-                    expect(result.models).to.have.length(5);
-                    expect(result.models[3].get('name')).to.equal('Big Bird');
-                    expect(result.models[4].get('name')).to.equal('Grover');
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('firstName')).to.equal('Cookie Monster');
                     done();
                 });
         });
     });
 
+    describe('passing parameters for `morphTo` relationships', () => {
+
+        it('should filter by an attribute of the polymorphic parent', (done) => {
+
+            CommentModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'commentable.type': 'skate,monster'
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('body')).to.have.members(['Fast', 'Scary']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should sort by an attribute of the polymorphic parent', (done) => {
+
+            CommentModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-commentable.type']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('body')).to.deep.equal(['Fast', 'Scary', 'Shiny', 'Tiny']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter and sort by attributes of only some of the polymorphic parents', (done) => {
+
+            Promise.all([
+                CommentModel.forge().fetchJsonApi({ filter: { 'commentable.first_name': 'Elmo' } }),
+                CommentModel.forge().fetchJsonApi({ filter: { 'commentable.pet_id': '1' } }),
+                CommentModel.forge().fetchJsonApi({ sort: ['commentable.age', 'id'] })
+            ])
+                .then(([persons, toys, sorted]) => {
+
+                    expect(persons.pluck('body')).to.deep.equal(['Tiny']);
+                    expect(toys.pluck('body')).to.deep.equal(['Fast']);
+                    expect(sorted.pluck('body')).to.deep.equal(['Fast', 'Shiny', 'Tiny', 'Scary']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject attributes none of the polymorphic parents have', (done) => {
+
+            CommentModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'commentable.weight': 70
+                    }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNKNOWN_ATTRIBUTE');
+                    expect(err.detail).to.equal('"commentable.weight" is not an attribute of "person" or "toy"');
+                    done();
+                });
+        });
+    });
+
+    describe('filtering relationships with the `exists` filter strategy', () => {
+
+        const existsRepository = Bookshelf(repository.knex);
+
+        existsRepository.plugin(JsonApiParams, {
+            filterStrategy: 'exists'
+        });
+
+        const ExistsToyModel = existsRepository.Model.extend({
+            tableName: 'toy'
+        });
+
+        const ExistsPetModel = existsRepository.Model.extend({
+            tableName: 'pet',
+            petOwner: function () {
+
+                return this.belongsTo(ExistsPersonModel, 'pet_owner_id');
+            },
+            toy: function () {
+
+                return this.hasOne(ExistsToyModel, 'pet_id');
+            }
+        });
+
+        const ExistsPersonModel = existsRepository.Model.extend({
+            tableName: 'person',
+            pets: function () {
+
+                return this.hasMany(ExistsPetModel, 'pet_owner_id');
+            }
+        });
+
+        const ExistsCommentModel = existsRepository.Model.extend({
+            tableName: 'comment',
+            commentable: function () {
+
+                return this.morphTo('commentable', ExistsPersonModel, ExistsToyModel);
+            }
+        });
+
+        it('should return each record once, whatever the number of matching related records', (done) => {
+
+            ExistsPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'pets.name': 'Big Bird,Grover'
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Barney']);
+                    expect(result.first().get('name')).to.be.undefined;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count the records of a page', (done) => {
+
+            ExistsPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        like: { 'pets.name': 'E' }
+                    },
+                    sort: ['id'],
+                    page: { limit: 2 }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Barney', 'Baby Bop']);
+                    expect(result.pagination.rowCount).to.equal(3);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should match the conditions on a relationship with a single related record', (done) => {
+
+            Promise.all([
+                ExistsPersonModel.forge().fetchJsonApi({ filter: { 'pets.name': 'Big Bird', 'pets.id': '4' } }),
+                ExistsPersonModel.forge().fetchJsonApi({ filter: { like: { 'pets.name': 'o' }, gt: { 'pets.id': '3' } }, sort: ['id'] })
+            ])
+                .then(([none, owners]) => {
+
+                    expect(none.length).to.equal(0);
+                    expect(owners.pluck('first_name')).to.deep.equal(['Barney', 'Baby Bop']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter by nested relationships and inside filter groups', (done) => {
+
+            ExistsPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        or: [{ 'pets.toy.type': 'skate' }, { 'pets.name': 'Patches' }]
+                    },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Barney', 'Cookie Monster']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should keep joining relationships used for sorting', (done) => {
+
+            ExistsPetModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'petOwner.gender': 'f'
+                    },
+                    sort: ['-petOwner.first_name', 'id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([2, 5]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter by `morphTo` relationships', (done) => {
+
+            ExistsCommentModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'commentable.id': 3
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('body')).to.deep.equal(['Scary']);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing a `sort` parameter', () => {
+
+        it('should return records sorted by type ascending (single word param name)', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['type']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(5);
+                    expect(result.models[0].get('type')).to.equal(null);
+                    expect(result.models[1].get('type')).to.equal('monster');
+                    done();
+                });
+        });
+
+        it('should return records sorted by type descending (single word param name)', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-type']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(5);
+                    expect(result.models[0].get('type')).to.equal('triceratops');
+                    done();
+                });
+        });
+
+        it('should return records sorted by name ascending (multi-word param name)', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['firstName']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(5);
+                    expect(result.models[0].get('firstName')).to.equal('Baby Bop');
+                    done();
+                });
+        });
+
+        it('should return records sorted by name descending (multi-word param name)', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-firstName']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(5);
+                    expect(result.models[0].get('firstName')).to.equal('Elmo');
+                    done();
+                });
+        });
+
+        it('should sort on deeply nested resources', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['pets', 'pets.toy'],
+                    sort: ['-pets.toy.type']
+                })
+                .then((result) => {
+
+                    expect(result.models[0].related('pets').related('toy').get('type')).to.equal('skate');
+                    expect(result.models[1].related('pets').related('toy').get('type')).to.equal('car');
+                    done();
+                });
+        });
+    });
+
+    describe('passing a `sort` parameter with relationship aggregates', () => {
+
+        it('should sort records by the number of related records', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-pets.count()', 'id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('firstName')).to.deep.equal(['Barney', 'Baby Bop', 'Cookie Monster', 'Boo', 'Elmo']);
+                    expect(result.models[0].get('aggregate')).to.be.undefined;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should sort records by an aggregate of an attribute of the related records', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-max(pets.name)', 'id'],
+                    page: { limit: 3 }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('firstName')).to.deep.equal(['Cookie Monster', 'Barney', 'Baby Bop']);
+                    expect(result.pagination.rowCount).to.equal(5);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should sort records by an aggregate of a computed attribute of the related records', (done) => {
+
+            const ComputedPetModel = PetModel.extend({
+                jsonApiParams: {
+                    computed: {
+                        nameLength: 'length({table}.name)'
+                    }
+                }
+            });
+
+            const ComputedOwnerModel = PersonModel.extend({
+                pets: function () {
+
+                    return this.hasMany(ComputedPetModel, 'pet_owner_id');
+                }
+            });
+
+            ComputedOwnerModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-max(pets.nameLength)', 'id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([2, 1, 3, 4, 5]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject aggregates of relationships that are not to-many', (done) => {
+
+            PetModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['petOwner.count()']
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_SORT_PARAMETER');
+                    expect(err.source).to.deep.equal({ parameter: 'sort' });
+                    done();
+                });
+        });
+    });
+
+    describe('passing computed attributes', () => {
+
+        const ComputedPetModel = PetModel.extend({
+            jsonApiParams: {
+                computed: {
+                    nameLength: 'length({table}.name)'
+                }
+            }
+        });
+
+        const ComputedPersonModel = PersonModel.extend({
+            jsonApiParams: {
+                computed: {
+                    ageInMonths: '{table}.age * 12',
+                    isAdult: {
+                        sqlite3: 'case when {table}.age >= 18 then 1 else 0 end',
+                        default: '{table}.age >= 18'
+                    },
+                    nickname: (table) => repository.knex.raw('upper(??)', [`${table}.first_name`]),
+                    fullName: {
+                        pg: 'concat({table}.first_name, {table}.type)'
+                    }
+                }
+            },
+            pets: function () {
+
+                return this.hasOne(ComputedPetModel, 'pet_owner_id');
+            }
+        });
+
+        it('should filter, sort and select computed attributes', (done) => {
+
+            ComputedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        gt: { ageInMonths: 300 }
+                    },
+                    fields: {
+                        person: ['firstName', 'ageInMonths', 'nickname']
+                    },
+                    sort: ['ageInMonths']
+                })
+                .then((result) => {
+
+                    expect(result.toJSON()).to.deep.equal([
+                        { firstName: 'Boo', ageInMonths: 336, nickname: 'BOO' },
+                        { firstName: 'Cookie Monster', ageInMonths: 840, nickname: 'COOKIE MONSTER' }
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should group by computed attributes', (done) => {
+
+            ComputedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['isAdult', 'count(id)']
+                    },
+                    group: ['isAdult'],
+                    sort: ['-isAdult']
+                })
+                .then((result) => {
+
+                    expect(result.toJSON()).to.deep.equal([
+                        { isAdult: 1, count: 3 },
+                        { isAdult: 0, count: 2 }
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter by computed attributes of related models', (done) => {
+
+            ComputedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'pets.nameLength': 7
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('firstName')).to.deep.equal(['Cookie Monster']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should select and filter computed attributes of included models', (done) => {
+
+            ComputedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        id: 3,
+                        include: {
+                            pets: { lt: { nameLength: 8 } }
+                        }
+                    },
+                    include: ['pets'],
+                    fields: {
+                        pets: ['name', 'nameLength']
+                    }
+                })
+                .then((result) => {
+
+                    const pet = result.first().related('pets');
+
+                    expect(pet.get('name')).to.equal('Patches');
+                    expect(pet.get('name_length')).to.equal(7);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject computed attributes without an expression for the database client', (done) => {
+
+            ComputedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['fullName']
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNSUPPORTED_ATTRIBUTE');
+                    expect(err.source).to.deep.equal({ parameter: 'sort' });
+                    done();
+                });
+        });
+    });
+
+    describe('passing an `include` parameter', () => {
+
+        it('should include the pets relationship', (done) => {
+
+            PersonModel
+                .where({ id: 1 })
+                .fetchJsonApi({
+                    include: ['pets']
+                }, false)
+                .then((result) => {
+
+                    const relation = result.related('pets');
+
+                    expect(result).to.be.an('object');
+                    expect(relation).to.exist;
+                    expect(relation.get('name')).to.equal('Big Bird');
+                    done();
+                });
+        });
+
+        it('should include the pets relationship when `include` is a Knex function', (done) => {
+
+            PersonModel
+                .where({ id: 1 })
+                .fetchJsonApi({
+                    include: [{
+                        'pets': (qb) => {
+
+                            qb.where({ name: 'Barney' });
+                        }
+                    }]
+                }, false)
+                .then((result) => {
+
+                    const relation = result.related('pets');
+
+                    expect(result).to.be.an('object');
+                    expect(relation.id).to.not.exist;
+                    done();
+                });
+        });
+
+        it('should apply sparse fieldsets at every level of a nested include', (done) => {
+
+            PersonModel
+                .where({ id: 1 })
+                .fetchJsonApi({
+                    include: ['pets.petOwner'],
+                    fields: {
+                        person: ['firstName'],
+                        pets: ['name'],
+                        petOwner: ['age']
+                    }
+                }, false)
+                .then((result) => {
+
+                    const pet = result.related('pets');
+                    const owner = pet.related('petOwner');
+
+                    expect(result.attributes).to.deep.equal({ id: 1, firstName: 'Barney' });
+                    expect(pet.attributes).to.deep.equal({ id: 1, name: 'Big Bird', pet_owner_id: 1 });
+                    expect(owner.attributes).to.deep.equal({ id: 1, age: 12 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should accept sparse fieldsets keyed by the full include path', (done) => {
+
+            PersonModel
+                .where({ id: 2 })
+                .fetchJsonApi({
+                    include: ['pets.toy'],
+                    fields: {
+                        'pets.toy': ['type']
+                    }
+                }, false)
+                .then((result) => {
+
+                    const toy = result.related('pets').related('toy');
+
+                    expect(result.get('firstName')).to.equal('Baby Bop');
+                    expect(toy.attributes).to.deep.equal({ id: 2, type: 'car', pet_id: 2 });
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing filters for included relationships', () => {
+
+        it('should filter the included records without filtering the records', (done) => {
+
+            PetModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['toy'],
+                    filter: {
+                        include: {
+                            toy: {
+                                type: 'car'
+                            }
+                        }
+                    },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(5);
+                    expect(result.models[0].related('toy').id).to.not.exist;
+                    expect(result.models[1].related('toy').get('type')).to.equal('car');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should support filter types and groups on included records', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['pets.petOwner'],
+                    filter: {
+                        gte: {
+                            age: 25
+                        },
+                        include: {
+                            'pets.petOwner': {
+                                or: {
+                                    firstName: 'Baby Bop',
+                                    lt: {
+                                        age: 50
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('firstName')).to.deep.equal(['Baby Bop', 'Cookie Monster', 'Boo']);
+                    expect(result.models[0].related('pets').related('petOwner').get('firstName')).to.equal('Baby Bop');
+                    expect(result.models[1].related('pets').related('petOwner').id).to.not.exist;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject filters for relationships that are not included', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        include: {
+                            pets: {
+                                name: 'Big Bird'
+                            }
+                        }
+                    }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_INCLUDE_FILTER');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[include][pets]' });
+                    done();
+                });
+        });
+
+        it('should reject unknown attributes of included records', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['pets'],
+                    filter: {
+                        include: {
+                            pets: {
+                                like: {
+                                    color: 'red'
+                                }
+                            }
+                        }
+                    }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNKNOWN_ATTRIBUTE');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[include][pets][like][color]' });
+                    done();
+                });
+        });
+    });
+
+    describe('escape commas in filter', () => {
+
+        it('should escape the comma and find a result', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        type: 'nothing\\, here'
+                    }
+                }, false)
+                .then((result) => {
+
+                    expect(result).to.be.an('object');
+                    expect(result.get('firstName')).to.equal('Boo');
+                    done();
+                });
+        });
+
+        it('should find no results if comma is not escaped', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        type: 'nothing, here'
+                    }
+                }, false)
+                .then((result) => {
+
+                    expect(result).to.equal(null);
+                    done();
+                });
+        });
+    });
+
+    describe('like filtering on non-text fields', () => {
+
+        it('should return the should return all record that have an age that contains the digit "2"', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        like: {
+                            age: '2'
+                        }
+                    }
+                })
+                .then((result) => {
+                    expect(result.models).to.have.length(3);
+                    expect(result.models[0].get('firstName')).to.equal('Barney');
+                    expect(result.models[1].get('firstName')).to.equal('Baby Bop');
+                    expect(result.models[2].get('firstName')).to.equal('Boo');
+                    done();
+                });
+        });
+    });
+
+    describe('passing a `fields` parameter with an aggregate function', () => {
+
+        it('should return the total count of records', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['count(id)']
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('count')).to.equal(5);
+                    done();
+                });
+        });
+
+        it('should return the average age per gender', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['avg(age)','gender']
+                    },
+                    group: ['gender']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(2);
+                    expect(result.models[0].get('gender')).to.equal('f');
+                    expect(result.models[0].get('avg')).to.equal((25 + 28) / 2);
+                    expect(result.models[1].get('gender')).to.equal('m');
+                    expect(result.models[1].get('avg')).to.equal((12 + 70 + 3) / 3);
+                    done();
+                });
+        });
+
+        it('should return the sum of the ages of persons with firstName containing \'Ba\'', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        like: {
+                            first_name: 'Ba'
+                        }
+                    },
+                    fields: {
+                        person: ['sum(age)']
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('sum')).to.equal(37);
+                    done();
+                });
+        });
+    });
+
+    describe('passing a `filter[having]` parameter', () => {
+
+        it('should return the genders of more than two persons', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['gender', 'count(id)']
+                    },
+                    filter: {
+                        having: {
+                            gt: {
+                                'count(id)': '2'
+                            }
+                        }
+                    },
+                    group: ['gender']
+                })
+                .then((result) => {
+
+                    expect(result.toJSON()).to.deep.equal([{ gender: 'm', count: 3 }]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter aggregates of relationships and attributes', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['id']
+                    },
+                    filter: {
+                        having: {
+                            'count(pets.id)': '2',
+                            between: {
+                                'max(age)': '10,30'
+                            }
+                        }
+                    },
+                    group: ['id'],
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([1, 2]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count the groups matching the filters', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['type', 'avg(age)']
+                    },
+                    filter: {
+                        having: {
+                            lte: {
+                                'avg(age)': '25'
+                            }
+                        }
+                    },
+                    group: ['type'],
+                    sort: ['type'],
+                    page: { limit: 1 }
+                })
+                .then((result) => {
+
+                    expect(result.toJSON()).to.deep.equal([{ type: null, avg: 3 }]);
+                    expect(result.pagination.rowCount).to.equal(3);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject filters that are not on aggregates', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        having: {
+                            gender: 'm'
+                        }
+                    },
+                    group: ['gender']
+                })
+                .then(() => done(new Error('Expected an INVALID_HAVING_FILTER error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_HAVING_FILTER');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[having][gender]' });
+                    done();
+                });
+        });
+
+        it('should reject filters without the `group` parameter', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        having: {
+                            'count(id)': '2'
+                        }
+                    }
+                })
+                .then(() => done(new Error('Expected an INVALID_HAVING_FILTER error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_HAVING_FILTER');
+                    done();
+                });
+        });
+
+        it('should reject unsupported operators and invalid values', (done) => {
+
+            const fetchGenders = (having) => PersonModel.forge().fetchJsonApi({ filter: { having }, group: ['gender'] }).reflect();
+
+            Promise.all([
+                fetchGenders({ like: { 'count(id)': '2' } }),
+                fetchGenders({ gt: { 'count(id)': 'two' } })
+            ])
+                .then(([operator, value]) => {
+
+                    expect(operator.reason().code).to.equal('INVALID_FILTER_OPERATOR');
+                    expect(operator.reason().source).to.deep.equal({ parameter: 'filter[having][like][count(id)]' });
+                    expect(value.reason().code).to.equal('INVALID_FILTER_VALUE');
+                    expect(value.reason().detail).to.equal('"two" is not a valid integer value for "count(id)"');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should check the aggregated attributes against the `filterable` whitelist', (done) => {
+
+            const FilterablePersonModel = PersonModel.extend({
+                jsonApiParams: {
+                    filterable: ['id', 'gender', 'pets']
+                }
+            });
+
+            const fetchPersons = (having, group) => {
+
+                return FilterablePersonModel.forge().fetchJsonApi({ fields: { person: group }, filter: { having }, group, sort: [].concat(group) }).reflect();
+            };
+
+            Promise.all([
+                fetchPersons({ gt: { 'count(id)': '2' } }, ['gender']),
+                fetchPersons({ 'count(pets.id)': '2' }, ['id']),
+                fetchPersons({ gt: { 'max(age)': '20' } }, ['gender'])
+            ])
+                .then(([genders, owners, ages]) => {
+
+                    expect(genders.value().pluck('gender')).to.deep.equal(['m']);
+                    expect(owners.value().pluck('id')).to.deep.equal([1, 2]);
+                    expect(ages.reason().code).to.equal('PARAMETER_NOT_ALLOWED');
+                    expect(ages.reason().source).to.deep.equal({ parameter: 'filter[having][gt][max(age)]' });
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing in an additional query', () => {
+
+        it('should return the total count of records', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({}, undefined, undefined, (qb) => {
+
+                    qb.count('id');
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('countId')).to.equal(5);
+                    done();
+                });
+        });
+
+        it('should return the average age per gender', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({}, undefined, undefined, (qb) => {
+
+                    qb.groupBy('gender').select('gender').avg('age');
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(2);
+                    expect(result.models[0].get('gender')).to.equal('f');
+                    expect(result.models[0].get('avgAge')).to.equal((25 + 28) / 2);
+                    expect(result.models[1].get('gender')).to.equal('m');
+                    expect(result.models[1].get('avgAge')).to.equal((12 + 70 + 3) / 3);
+                    done();
+                });
+        });
+
+        it('should return the sum of the ages of persons with firstName containing \'Ba\'', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        like: {
+                            first_name: 'Ba'
+                        }
+                    }
+                }, undefined, undefined, (qb) => {
+
+                    qb.sum('age');
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('sumAge')).to.equal(37);
+                    done();
+                });
+        });
+    });
+
+    describe('Filtering by string values which contain quotes', () => {
+
+        it('should maintain quotes when it builds the filter', (done) => {
+
+            PetModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        name: 'Benny "The Terror" Terrier'
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    done();
+                });
+        });
+    });
+
+
+
+    describe('Sorting by multiple columns with a mix of camelCase values', () => {
+
+        it('should generate valid SQL', (done) => {
+
+            PetModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-petOwner.age', 'name']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(5);
+                    expect(result.models[3].get('name')).to.equal('Big Bird');
+                    expect(result.models[4].get('name')).to.equal('Grover');
+                    done();
+                });
+        });
+    });
+
+
+    describe('declaring `jsonApiParams` whitelists on a model', () => {
+
+        const RestrictedPetModel = PetModel.extend({
+            jsonApiParams: {
+                filterable: ['name'],
+                includable: [],
+                fields: ['name']
+            }
+        });
+
+        const RestrictedPersonModel = PersonModel.extend({
+            jsonApiParams: {
+                filterable: ['firstName', 'pets'],
+                sortable: ['age'],
+                groupable: ['gender'],
+                includable: ['pets'],
+                fields: ['firstName', 'gender', 'age']
+            },
+            pets: function () {
+
+                return this.hasOne(RestrictedPetModel, 'pet_owner_id');
+            }
+        });
+
+        it('should apply whitelisted parameters', (done) => {
+
+            RestrictedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        like: {
+                            firstName: 'o'
+                        },
+                        'pets.name': 'Patches'
+                    },
+                    include: ['pets'],
+                    fields: {
+                        pets: ['name']
+                    },
+                    sort: ['-age']
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('firstName')).to.equal('Cookie Monster');
+                    expect(result.models[0].related('pets').get('name')).to.equal('Patches');
+                    done();
+                });
+        });
+
+        it('should reject a filter on an attribute that is not filterable', (done) => {
+
+            RestrictedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        gt: {
+                            age: 10
+                        }
+                    }
+                })
+                .catch((err) => {
+
+                    expect(err.message).to.equal('"age" is not an allowed value for the `filter` parameter');
+                    done();
+                });
+        });
+
+        it('should check relation paths against the related model whitelist', (done) => {
+
+            RestrictedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'pets.pet_owner_id': 1
+                    }
+                })
+                .catch((err) => {
+
+                    expect(err.message).to.equal('"pets.pet_owner_id" is not an allowed value for the `filter` parameter');
+                    done();
+                });
+        });
+
+        it('should reject sorting, grouping and including values that are not whitelisted', (done) => {
+
+            Promise.join(
+                RestrictedPersonModel.forge().fetchJsonApi({ sort: ['-firstName'] }).reflect(),
+                RestrictedPersonModel.forge().fetchJsonApi({ group: ['type'] }).reflect(),
+                RestrictedPersonModel.forge().fetchJsonApi({ include: ['pets.toy'] }, false).reflect(),
+                RestrictedPersonModel.forge().fetchJsonApi({ fields: { person: ['type'] } }).reflect()
+            )
+                .then((inspections) => {
+
+                    _.forEach(inspections, (inspection) => expect(inspection.isRejected()).to.be.true);
+                    expect(inspections[0].reason().message).to.equal('"firstName" is not an allowed value for the `sort` parameter');
+                    expect(inspections[1].reason().message).to.equal('"type" is not an allowed value for the `group` parameter');
+                    expect(inspections[2].reason().message).to.equal('"pets.toy" is not an allowed value for the `include` parameter');
+                    expect(inspections[3].reason().message).to.equal('"type" is not an allowed value for the `fields` parameter');
+                    done();
+                });
+        });
+
+        it('should never call the methods of models while resolving relations', (done) => {
+
+            const collectingRepository = Bookshelf(repository.knex);
+            collectingRepository.plugin(JsonApiParams, { collectErrors: true });
+
+            const CollectingPersonModel = collectingRepository.Model.extend({
+                tableName: 'person',
+                jsonApiParams: {
+                    includable: ['pets']
+                }
+            });
+
+            Promise.join(
+                PersonModel.forge({ id: 2 }).fetchJsonApi({ sort: ['destroy.x'] }, false).reflect(),
+                PersonModel.forge().fetchJsonApi({ filter: { 'save.x': '1' } }).reflect(),
+                CollectingPersonModel.forge({ id: 2 }).fetchJsonApi({ include: ['destroy'], fields: { destroy: ['id'] } }, false).reflect()
+            )
+                .then((inspections) => {
+
+                    _.forEach(inspections, (inspection) => expect(inspection.isRejected()).to.be.true);
+                    expect(inspections[0].reason().code).to.equal('UNKNOWN_RELATION');
+                    expect(inspections[2].reason().errors[0].code).to.equal('PARAMETER_NOT_ALLOWED');
+
+                    return PersonModel.forge().fetchAll();
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([1, 2, 3, 4, 5]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should check aggregate fields against the whitelist of the attribute they aggregate', (done) => {
+
+            Promise.join(
+                RestrictedPersonModel.forge().fetchJsonApi({ fields: { person: ['gender', 'avg(age)'] }, group: ['gender'] }).reflect(),
+                RestrictedPersonModel.forge().fetchJsonApi({ fields: { person: ['gender', 'count(type)'] }, group: ['gender'] }).reflect()
+            )
+                .then((inspections) => {
+
+                    expect(inspections[0].isFulfilled()).to.be.true;
+                    expect(inspections[0].value().map((person) => person.get('avg'))).to.deep.equal([(25 + 28) / 2, (12 + 70 + 3) / 3]);
+                    expect(inspections[1].isRejected()).to.be.true;
+                    expect(inspections[1].reason().message).to.equal('"count(type)" is not an allowed value for the `fields` parameter');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing invalid parameters', () => {
+
+        it('should reject an unknown filter operator with a JsonApiParamsError', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        similar: {
+                            firstName: 'Barney'
+                        }
+                    }
+                })
+                .catch((err) => {
+
+                    expect(err).to.be.an.instanceof(JsonApiParams.JsonApiParamsError);
+                    expect(err).to.be.an.instanceof(Error);
+                    expect(err.status).to.equal(400);
+                    expect(err.code).to.equal('INVALID_FILTER_OPERATOR');
+                    expect(err.source).to.deep.equal({ parameter: 'filter[similar]' });
+                    done();
+                });
+        });
+
+        it('should reject an include of an unknown relationship', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['pets.owner']
+                })
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNKNOWN_RELATION');
+                    expect(err.detail).to.equal('"pets.owner" is not a relationship of "person"');
+                    done();
+                });
+        });
+
+        it('should reject sorting on an unknown column', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['-pets.weight']
+                })
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNKNOWN_ATTRIBUTE');
+                    expect(err.detail).to.equal('"pets.weight" is not an attribute of "pet"');
+                    expect(err.toJSON()).to.deep.equal({
+                        errors: [{
+                            status: '400',
+                            code: 'UNKNOWN_ATTRIBUTE',
+                            title: 'Invalid attribute',
+                            detail: '"pets.weight" is not an attribute of "pet"',
+                            source: { parameter: 'sort' }
+                        }]
+                    });
+                    done();
+                });
+        });
+
+        it('should reject sort, group and include values that are not paths', (done) => {
+
+            Promise.join(
+                PersonModel.forge().fetchJsonApi({ sort: [5] }).reflect(),
+                PersonModel.forge().fetchJsonApi({ group: [null] }).reflect(),
+                PersonModel.forge().fetchJsonApi({ include: [5] }, false).reflect()
+            )
+                .then((inspections) => {
+
+                    expect(_.map(inspections, (inspection) => inspection.reason().code)).to.deep.equal(['INVALID_SORT_PARAMETER', 'INVALID_GROUP_PARAMETER', 'INVALID_INCLUDE_PARAMETER']);
+                    expect(_.map(inspections, (inspection) => inspection.reason().source)).to.deep.equal([{ parameter: 'sort' }, { parameter: 'group' }, { parameter: 'include' }]);
+                    expect(inspections[0].reason().detail).to.equal('5 is not an attribute path');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should report every invalid parameter when registered with `collectErrors`', (done) => {
+
+            const collectingRepository = Bookshelf(repository.knex);
+            collectingRepository.plugin(JsonApiParams, { collectErrors: true });
+
+            const CollectingPersonModel = collectingRepository.Model.extend({
+                tableName: 'person'
+            });
+
+            CollectingPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        nickname: 'Barney',
+                        similar: {
+                            first_name: 'Barney'
+                        }
+                    },
+                    include: ['pets'],
+                    sort: ['-age', 'weight']
+                })
+                .catch((err) => {
+
+                    expect(err.errors).to.have.length(4);
+                    expect(_.map(err.errors, 'source.parameter')).to.deep.equal(['filter[similar]', 'include', 'filter[nickname]', 'sort']);
+                    done();
+                });
+        });
+    });
+
+    describe('parsing a query string with `parseJsonApiQuery`', () => {
+
+        it('should parse bracket notation and comma lists', (done) => {
+
+            const result = JsonApiParams.parseJsonApiQuery('?include=pets,pets.toy&fields[person]=firstName,age&sort=-age&page[limit]=10&page[offset]=0&filter[like][firstName]=ba&filter[type]=t-rex,monster');
+
+            expect(result).to.deep.equal({
+                include: ['pets', 'pets.toy'],
+                fields: { person: ['firstName', 'age'] },
+                sort: ['-age'],
+                page: { limit: 10, offset: 0 },
+                filter: {
+                    like: { firstName: 'ba' },
+                    type: 't-rex,monster'
+                }
+            });
+            done();
+        });
+
+        it('should honor escaped commas and decode values', (done) => {
+
+            const result = JsonApiParams.parseJsonApiQuery('fields[person]=first%20name,nothing\\,%20here&group=gender&group=age');
+
+            expect(result.fields.person).to.deep.equal(['first name', 'nothing, here']);
+            expect(result.group).to.deep.equal(['gender', 'age']);
+            done();
+        });
+
+        it('should normalize an already decoded query object and ignore unknown parameters', (done) => {
+
+            const result = JsonApiParams.parseJsonApiQuery({
+                include: 'pets',
+                'fields[pet]': 'name',
+                page: { size: '2' },
+                withRelated: ['secrets']
+            });
+
+            expect(result).to.deep.equal({
+                include: ['pets'],
+                fields: { pet: ['name'] },
+                page: { size: 2 }
+            });
+            done();
+        });
+
+        it('should ignore parameters reaching the prototype of objects', (done) => {
+
+            const result = JsonApiParams.parseJsonApiQuery('__proto__[polluted]=yes&filter[__proto__][evil]=1&filter[constructor][prototype][bad]=1&filter[gender]=f');
+
+            expect({}.polluted).to.be.undefined;
+            expect({}.evil).to.be.undefined;
+            expect({}.bad).to.be.undefined;
+            expect(result).to.deep.equal({ filter: { gender: 'f' } });
+            done();
+        });
+
+        it('should produce options that can be passed to `fetchJsonApi`', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi(JsonApiParams.parseJsonApiQuery('filter[like][first_name]=Ba&filter[gender]=f&fields[person]=firstName'))
+                .then((result) => {
+
+                    expect(result.models).to.have.length(1);
+                    expect(result.models[0].get('firstName')).to.equal('Baby Bop');
+                    expect(result.models[0].get('gender')).to.be.undefined;
+                    done();
+                });
+        });
+    });
+
+    describe('passing paging parameters', () => {
+
+        it('should accept `page[number]` and `page[size]`', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['id'],
+                    page: { number: 2, size: 2 }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([3, 4]);
+                    expect(result.pagination.page).to.equal(2);
+                    expect(result.pagination.pageSize).to.equal(2);
+                    expect(result.pagination.pageCount).to.equal(3);
+                    done();
+                });
+        });
+
+        it('should accept `page[offset]` and `page[limit]` passed as strings', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['id'],
+                    page: { offset: '3', limit: '5' }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([4, 5]);
+                    expect(result.pagination.offset).to.equal(3);
+                    expect(result.pagination.limit).to.equal(5);
+                    done();
+                });
+        });
+
+        it('should accept `page[page]` and `page[pageSize]`', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['id'],
+                    page: { page: 3, pageSize: 2 }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([5]);
+                    done();
+                });
+        });
+
+        it('should reject negative and non-numeric values', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    page: { number: 'two' }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err).to.be.an.instanceof(JsonApiParams.JsonApiParamsError);
+                    expect(err.code).to.equal('INVALID_PAGE_PARAMETER');
+                    expect(err.source).to.deep.equal({ parameter: 'page[number]' });
+
+                    return PersonModel.forge().fetchJsonApi({ page: { offset: -1 } });
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.source).to.deep.equal({ parameter: 'page[offset]' });
+                    done();
+                });
+        });
+
+        it('should count the groups of a grouped query', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['gender', 'count(id)']
+                    },
+                    group: ['gender'],
+                    sort: ['gender'],
+                    page: { number: 1, size: 1 }
+                })
+                .then((result) => {
+
+                    expect(result.toJSON()).to.deep.equal([{ gender: 'f', count: 2 }]);
+                    expect(result.pagination.rowCount).to.equal(2);
+                    expect(result.pagination.pageCount).to.equal(2);
+
+                    return PersonModel.forge().fetchJsonApi({
+                        fields: {
+                            person: ['max(age)']
+                        },
+                        page: { limit: 10 }
+                    });
+                })
+                .then((result) => {
+
+                    expect(result.pagination.rowCount).to.equal(1);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count each record once when filtering on to-many relationships', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'pets.name': 'Big Bird,Grover,Godzilla'
+                    },
+                    page: { limit: 10 }
+                })
+                .then((result) => {
+
+                    expect(result.pagination.rowCount).to.equal(2);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should page over records rather than joined rows', (done) => {
+
+            const fetchPage = (number) => {
+
+                return PersonModel.forge().fetchJsonApi({
+                    filter: {
+                        'pets.name': 'Big Bird,Grover,Godzilla'
+                    },
+                    sort: ['-pets.name'],
+                    page: { number, size: 1 }
+                });
+            };
+
+            Promise.all([fetchPage(1), fetchPage(2), fetchPage(3)])
+                .then(([first, second, third]) => {
+
+                    expect(first.pluck('id')).to.deep.equal([1]);
+                    expect(second.pluck('id')).to.deep.equal([2]);
+                    expect(third.length).to.equal(0);
+                    expect(first.pagination).to.deep.equal({ page: 1, pageSize: 1, rowCount: 2, pageCount: 2 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should skip counting the records with `page[count]=false`', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['id'],
+                    page: { number: 2, size: 2, count: 'false' }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([3, 4]);
+                    expect(result.pagination).to.deep.equal({ page: 2, pageSize: 2, hasMore: true });
+                    expect(JsonApiParams.toJsonApiDocument(result, { url: '/person' }).links).to.deep.equal({
+                        self: '/person',
+                        first: '/person?page[number]=1&page[size]=2&page[count]=false',
+                        prev: '/person?page[number]=1&page[size]=2&page[count]=false',
+                        next: '/person?page[number]=3&page[size]=2&page[count]=false',
+                        last: null
+                    });
+
+                    return PersonModel.forge().fetchJsonApi({
+                        sort: ['id'],
+                        page: { offset: 3, limit: 2, count: false }
+                    });
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([4, 5]);
+                    expect(result.pagination).to.deep.equal({ offset: 3, limit: 2, hasMore: false });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject values of `page[count]` that are not booleans', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    page: { count: 'maybe' }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_PAGE_PARAMETER');
+                    expect(err.source).to.deep.equal({ parameter: 'page[count]' });
+                    done();
+                });
+        });
+
+        it('should cap the page size at the `maxPageSize` of the plugin and the model', (done) => {
+
+            const maxPageSizeRepository = Bookshelf(repository.knex);
+
+            maxPageSizeRepository.plugin(JsonApiParams, {
+                maxPageSize: 3
+            });
+
+            const LimitedPersonModel = maxPageSizeRepository.Model.extend({
+                tableName: 'person'
+            });
+
+            const SmallPersonModel = maxPageSizeRepository.Model.extend({
+                tableName: 'person',
+                jsonApiParams: {
+                    maxPageSize: 1
+                }
+            });
+
+            Promise.all([
+                LimitedPersonModel.forge().fetchJsonApi({ page: { size: 100 } }),
+                SmallPersonModel.forge().fetchJsonApi({ page: { limit: 100 } })
+            ])
+                .spread((limited, small) => {
+
+                    expect(limited.models).to.have.length(3);
+                    expect(limited.pagination.pageSize).to.equal(3);
+                    expect(small.models).to.have.length(1);
+                    expect(small.pagination.limit).to.equal(1);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing cursor paging parameters', () => {
+
+        it('should return the first page and a cursor to the next one', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['age'],
+                    page: { after: '', size: 2 }
+                })
+                .then((result) => {
+
+                    expect(result.models).to.have.length(2);
+                    expect(result.models[0].get('firstName')).to.equal('Elmo');
+                    expect(result.models[1].get('firstName')).to.equal('Barney');
+                    expect(result.pagination.size).to.equal(2);
+                    expect(result.pagination.nextCursor).to.be.a('string');
+                    expect(result.pagination.prevCursor).to.be.null;
+                    done();
+                });
+        });
+
+        it('should page forwards and backwards through the records', (done) => {
+
+            const fetchPage = (page) => {
+
+                return PersonModel
+                    .forge()
+                    .fetchJsonApi({
+                        sort: ['-gender', 'age'],
+                        fields: { person: ['firstName'] },
+                        page: _.assign({ size: 2 }, page)
+                    });
+            };
+
+            fetchPage({ after: '' })
+                .then((first) => {
+
+                    expect(first.pluck('firstName')).to.deep.equal(['Elmo', 'Barney']);
+
+                    return fetchPage({ after: first.pagination.nextCursor });
+                })
+                .then((second) => {
+
+                    expect(second.pluck('firstName')).to.deep.equal(['Cookie Monster', 'Baby Bop']);
+                    expect(second.pagination.prevCursor).to.be.a('string');
+
+                    return fetchPage({ after: second.pagination.nextCursor })
+                        .then((third) => {
+
+                            expect(third.pluck('firstName')).to.deep.equal(['Boo']);
+                            expect(third.pagination.nextCursor).to.be.null;
+
+                            return fetchPage({ before: second.pagination.prevCursor });
+                        });
+                })
+                .then((previous) => {
+
+                    expect(previous.pluck('firstName')).to.deep.equal(['Elmo', 'Barney']);
+                    expect(previous.pagination.prevCursor).to.be.null;
+                    expect(previous.pagination.nextCursor).to.be.a('string');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should page through null sort values', (done) => {
+
+            const fetchAll = (sort, page, ids) => {
+
+                return PersonModel
+                    .forge()
+                    .fetchJsonApi({ sort: [].concat(sort), page: _.assign({ size: 1 }, page) })
+                    .then((result) => {
+
+                        ids = ids.concat(result.pluck('id'));
+
+                        return result.pagination.nextCursor ? fetchAll(sort, { after: result.pagination.nextCursor }, ids) : ids;
+                    });
+            };
+
+            repository.knex('person').where('id', 4).update({ type: null })
+                .then(() => Promise.all([fetchAll(['type'], { after: '' }, []), fetchAll(['-type'], { after: '' }, [])]))
+                .then(([ascending, descending]) => {
+
+                    expect(ascending).to.deep.equal([4, 5, 3, 1, 2]);
+                    expect(descending).to.deep.equal([2, 1, 3, 4, 5]);
+
+                    return PersonModel.forge().fetchJsonApi({ sort: ['type'], page: { after: '', size: 3 } });
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([4, 5, 3]);
+
+                    return PersonModel.forge().fetchJsonApi({ sort: ['type'], page: { before: result.pagination.nextCursor, size: 1 } });
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([5]);
+
+                    return PersonModel.forge().fetchJsonApi({ sort: ['type'], page: { before: result.pagination.prevCursor, size: 2 } });
+                })
+                .then((result) => {
+
+                    expect(result.pluck('id')).to.deep.equal([4]);
+                    expect(result.pagination.prevCursor).to.be.null;
+                })
+                .finally(() => repository.knex('person').where('id', 4).update({ type: 'nothing, here' }))
+                .then(() => done())
+                .catch(done);
+        });
+
+        it('should reject a malformed cursor', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    page: { after: 'not-a-cursor' }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err).to.be.an.instanceof(JsonApiParams.JsonApiParamsError);
+                    expect(err.code).to.equal('INVALID_PAGE_PARAMETER');
+                    expect(err.source).to.deep.equal({ parameter: 'page[after]' });
+                    done();
+                });
+        });
+
+        it('should reject sorting on relationships', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['pets.name'],
+                    page: { after: '' }
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('INVALID_PAGE_PARAMETER');
+                    expect(err.source).to.deep.equal({ parameter: 'sort' });
+                    done();
+                });
+        });
+    });
+
+    describe('building queries with `toJsonApiQuery`', () => {
+
+        it('should return the query without fetching the records', (done) => {
+
+            PersonModel
+                .forge()
+                .toJsonApiQuery({
+                    filter: {
+                        'pets.name': 'Patches'
+                    },
+                    sort: ['-age'],
+                    include: ['pets'],
+                    page: { number: 2, size: 5 }
+                })
+                .then((description) => {
+
+                    expect(description.sql.sql).to.equal(
+                        'select `person`.* from `person` left outer join `pet` as `pets` on `person`.`id` = `pets`.`pet_owner_id` ' +
+                        'where `pets`.`name` in (?) group by `person`.`id` order by `person`.`age` desc limit ? offset ?'
+                    );
+                    expect(description.sql.bindings).to.deep.equal(['Patches', 5, 5]);
+                    expect(description.countSql.sql).to.equal(
+                        'select count(distinct `person`.`id`) as `count` from `person` left outer join `pet` as `pets` on `person`.`id` = `pets`.`pet_owner_id` ' +
+                        'where `pets`.`name` in (?)'
+                    );
+                    expect(description.page).to.deep.equal({ count: true, page: 2, pageSize: 5 });
+                    expect(description.cursor).to.be.null;
+                    expect(_.keys(description.withRelated[0])).to.deep.equal(['pets']);
+                    expect(description.query.toString()).to.contain('limit 5 offset 5');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should return the query when passing `dryRun`', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    fields: {
+                        person: ['firstName']
+                    },
+                    dryRun: true
+                })
+                .then((description) => {
+
+                    expect(description.sql.sql).to.equal('select `person`.`first_name` from `person`');
+                    expect(description.countSql).to.be.null;
+                    expect(description.page).to.be.null;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject invalid parameters', (done) => {
+
+            PersonModel
+                .forge()
+                .toJsonApiQuery({
+                    sort: ['weight']
+                })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('UNKNOWN_ATTRIBUTE');
+                    done();
+                });
+        });
+    });
+
+    describe('serializing results with `toJsonApiDocument`', () => {
+
+        it('should serialize records with their relationships and included resources', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['pets', 'pets.toy'],
+                    fields: {
+                        pets: ['name']
+                    }
+                })
+                .then((people) => {
+
+                    const document = JsonApiParams.toJsonApiDocument(people);
+                    const barney = document.data[0];
+
+                    expect(barney.type).to.equal('person');
+                    expect(barney.id).to.equal('1');
+                    expect(barney.attributes.firstName).to.equal('Barney');
+                    expect(barney.attributes.id).to.be.undefined;
+                    expect(barney.relationships.pets.data).to.deep.equal({ type: 'pet', id: '1' });
+                    expect(document.data[3].relationships.pets.data).to.be.null;
+                    expect(_.map(document.included, (resource) => `${resource.type}:${resource.id}`)).to.have.members(['pet:1', 'pet:2', 'pet:3', 'toy:1', 'toy:2']);
+
+                    const bigBird = _.find(document.included, { type: 'pet', id: '1' });
+                    const patches = _.find(document.included, { type: 'pet', id: '3' });
+
+                    expect(bigBird.attributes).to.deep.equal({ name: 'Big Bird' });
+                    expect(bigBird.relationships.toy.data).to.deep.equal({ type: 'toy', id: '1' });
+                    expect(patches.relationships.toy.data).to.be.null;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not repeat primary data in `included`', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    include: ['pets.petOwner']
+                })
+                .then((people) => {
+
+                    const document = JsonApiParams.toJsonApiDocument(people);
+
+                    expect(document.data).to.have.length(5);
+                    expect(_.uniq(_.map(document.included, 'type'))).to.deep.equal(['pet']);
+                    expect(document.included).to.have.length(3);
+                    expect(_.find(document.included, { id: '2' }).relationships.petOwner.data).to.deep.equal({ type: 'person', id: '2' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should add totals and pagination links to paginated collections', (done) => {
+
+            PersonModel
+                .forge()
+                .fetchJsonApi({
+                    sort: ['id'],
+                    page: { number: 2, size: 2 },
+                    serialize: { url: '/people?sort=id&page[number]=2&page[size]=2', type: 'people' }
+                })
+                .then((document) => {
+
+                    expect(_.map(document.data, 'id')).to.deep.equal(['3', '4']);
+                    expect(document.data[0].type).to.equal('people');
+                    expect(document.meta).to.deep.equal({ total: 5, pageCount: 3 });
+                    expect(document.links).to.deep.equal({
+                        self: '/people?sort=id&page[number]=2&page[size]=2',
+                        first: '/people?sort=id&page[number]=1&page[size]=2',
+                        prev: '/people?sort=id&page[number]=1&page[size]=2',
+                        next: '/people?sort=id&page[number]=3&page[size]=2',
+                        last: '/people?sort=id&page[number]=3&page[size]=2'
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should serialize a missing record as null data', (done) => {
+
+            PersonModel
+                .where({ id: 100 })
+                .fetchJsonApi({ serialize: true }, false)
+                .then((document) => {
+
+                    expect(document).to.deep.equal({ data: null });
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing models with a default scope', () => {
+
+        const scopeRepository = Bookshelf(repository.knex);
+
+        scopeRepository.plugin(JsonApiParams);
+
+        const ScopedPetModel = scopeRepository.Model.extend({
+            tableName: 'pet',
+            jsonApiParams: {
+                scope: (qb, table) => qb.whereNot(`${table}.name`, 'like', 'G%')
+            }
+        });
+
+        const ScopedPersonModel = scopeRepository.Model.extend({
+            tableName: 'person',
+            jsonApiParams: {
+                scope: (qb, table, context) => {
+
+                    if (context){
+                        qb.where(`${table}.gender`, context.gender);
+                    }
+                }
+            },
+            pets: function () {
+
+                return this.hasMany(ScopedPetModel, 'pet_owner_id');
+            }
+        });
+
+        const ScopedCommentModel = scopeRepository.Model.extend({
+            tableName: 'comment',
+            commentable: function () {
+
+                return this.morphTo('commentable', ['commentable_type', 'commentable_id'], ScopedPersonModel, ToyModel);
+            }
+        });
+
+        it('should scope the root query with the context', (done) => {
+
+            ScopedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    context: { gender: 'f' },
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Baby Bop', 'Boo']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should scope the joined relations', (done) => {
+
+            ScopedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: {
+                        'pets.name': 'Big Bird,Grover'
+                    }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Barney']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should scope the relations aggregated to sort', (done) => {
+
+            ScopedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    context: { gender: 'm' },
+                    sort: ['-pets.count()', '-id']
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Cookie Monster', 'Barney', 'Elmo']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should scope the included relations', (done) => {
+
+            ScopedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    context: { gender: 'f' },
+                    include: ['pets'],
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.first().related('pets').pluck('name')).to.deep.equal(['Benny "The Terror" Terrier']);
+                    expect(result.last().related('pets').length).to.equal(0);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should scope the candidates of included polymorphic relations', (done) => {
+
+            ScopedCommentModel
+                .forge()
+                .fetchJsonApi({
+                    context: { gender: 'm' },
+                    filter: {
+                        id: '1,2,4'
+                    },
+                    include: ['commentable'],
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(result.map((comment) => comment.related('commentable').get('first_name') || comment.related('commentable').get('type')))
+                        .to.deep.equal(['Cookie Monster', 'skate', 'Elmo']);
+
+                    return ScopedCommentModel.forge().fetchJsonApi({
+                        context: { gender: 'f' },
+                        filter: {
+                            id: '1,2'
+                        },
+                        include: ['commentable'],
+                        sort: ['id']
+                    });
+                })
+                .then((result) => {
+
+                    expect(result.first().related('commentable').get('first_name')).to.be.undefined;
+                    expect(result.last().related('commentable').get('type')).to.equal('skate');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('passing lifecycle hooks', () => {
+
+        const hookRepository = Bookshelf(repository.knex);
+        const audit = [];
+
+        hookRepository.plugin(JsonApiParams, {
+            hooks: {
+                beforeJsonApiParse: ({ opts, context }) => {
+
+                    if (!context || !context.user){
+                        throw new Error('Unauthorized');
+                    }
+
+                    audit.push('plugin');
+
+                    return _.assign({}, opts, { sort: opts.sort || ['id'] });
+                },
+                afterJsonApiFetch: ({ result, context }) => {
+
+                    audit.push(`${context.user} fetched ${result.length}`);
+                }
+            }
+        });
+
+        const HookPersonModel = hookRepository.Model.extend({
+            tableName: 'person',
+            jsonApiParams: {
+                hooks: {
+                    beforeJsonApiParse: [({ opts }) => {
+
+                        audit.push(`model sorted by ${opts.sort}`);
+                    }],
+                    beforeJsonApiQuery: ({ model, context }) => {
+
+                        model.query((qb) => qb.where('person.gender', context.gender));
+                    }
+                }
+            }
+        });
+
+        beforeEach(() => {
+
+            audit.length = 0;
+        });
+
+        it('should run the hooks of the plugin and of the model around the query', (done) => {
+
+            HookPersonModel
+                .forge()
+                .fetchJsonApi({
+                    context: { user: 'admin', gender: 'f' },
+                    page: { limit: 1 }
+                })
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Baby Bop']);
+                    expect(result.pagination.rowCount).to.equal(2);
+                    expect(audit).to.deep.equal(['plugin', 'model sorted by id', 'admin fetched 1']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should let a hook reject the request', (done) => {
+
+            HookPersonModel
+                .forge()
+                .fetchJsonApi({ filter: { gender: 'm' } })
+                .then(() => done(new Error('Expected the request to be rejected')))
+                .catch((err) => {
+
+                    expect(err.message).to.equal('Unauthorized');
+                    expect(audit).to.be.empty;
+                    done();
+                });
+        });
+
+        it('should let a hook replace the fetched records', (done) => {
+
+            const ReplacedPersonModel = HookPersonModel.extend({
+                jsonApiParams: {
+                    hooks: {
+                        afterJsonApiFetch: ({ result }) => result.filter((model) => model.get('age') > 20)
+                    }
+                }
+            });
+
+            ReplacedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    context: { user: 'admin' },
+                    sort: ['-age']
+                })
+                .then((result) => {
+
+                    expect(result).to.be.an('array');
+                    expect(_.map(result, (model) => model.get('first_name'))).to.deep.equal(['Cookie Monster', 'Boo', 'Baby Bop']);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('caching results', () => {
+
+        const cacheRepository = Bookshelf(repository.knex);
+        const store = JsonApiParams.memoryStore();
+        const calls = { get: 0, set: 0 };
+
+        cacheRepository.plugin(JsonApiParams, {
+            cache: {
+                store: {
+                    get: (key) => {
+
+                        calls.get++;
+                        return store.get(key);
+                    },
+                    set: (key, value, ttl) => {
+
+                        calls.set++;
+                        store.set(key, value, ttl);
+                    }
+                },
+                ttl: 10000
+            }
+        });
+
+        const CachedPetModel = cacheRepository.Model.extend({
+            tableName: 'pet'
+        });
+
+        const CachedToyModel = cacheRepository.Model.extend({
+            tableName: 'toy'
+        });
+
+        const CachedPersonModel = cacheRepository.Model.extend({
+            tableName: 'person',
+            pets: function () {
+
+                return this.hasMany(CachedPetModel, 'pet_owner_id');
+            },
+            toys: function () {
+
+                return this.belongsToMany(CachedToyModel, 'person_toy', 'person_id', 'toy_id');
+            }
+        });
+
+        const CachedCommentModel = cacheRepository.Model.extend({
+            tableName: 'comment',
+            commentable: function () {
+
+                return this.morphTo('commentable', ['commentable_type', 'commentable_id'], CachedPersonModel, CachedToyModel);
+            }
+        });
+
+        before((done) => {
+
+            repository.knex.schema.createTable('person_toy', (table) => {
+
+                table.integer('person_id');
+                table.integer('toy_id');
+            })
+                .then(() => repository.knex('person_toy').insert({ person_id: 1, toy_id: 1 }))
+                .then(() => done())
+                .catch(done);
+        });
+
+        after((done) => {
+
+            repository.knex.schema.dropTableIfExists('person_toy')
+                .then(() => done())
+                .catch(done);
+        });
+
+        beforeEach(() => {
+
+            store.clear();
+            calls.get = 0;
+            calls.set = 0;
+        });
+
+        it('should validate the parameters before resolving their paths for the cache key', (done) => {
+
+            let audits = 0;
+
+            const AuditedPersonModel = CachedPersonModel.extend({
+                jsonApiParams: {
+                    sortable: ['first_name']
+                },
+                audit: function () {
+
+                    audits++;
+                }
+            });
+
+            AuditedPersonModel
+                .forge()
+                .fetchJsonApi({ sort: ['audit.x'] })
+                .then(() => done(new Error('Expected an error')))
+                .catch((err) => {
+
+                    expect(err.code).to.equal('PARAMETER_NOT_ALLOWED');
+                    expect(audits).to.equal(0);
+                    expect(calls.get).to.equal(0);
+                    done();
+                });
+        });
+
+        it('should return cached results for equivalent parameters', (done) => {
+
+            CachedPersonModel
+                .forge()
+                .fetchJsonApi({
+                    filter: { gender: 'm', id: '1,3' },
+                    include: ['pets'],
+                    sort: ['id']
+                })
+                .then((result) => {
+
+                    expect(calls).to.deep.equal({ get: 1, set: 1 });
+                    result.first().set('first_name', 'Changed');
+
+                    return CachedPersonModel.forge().fetchJsonApi({
+                        filter: { id: ['1', '3'], gender: 'm' },
+                        include: ['pets'],
+                        sort: 'id'
+                    });
+                })
+                .then((result) => {
+
+                    expect(calls).to.deep.equal({ get: 2, set: 1 });
+                    expect(result.pluck('first_name')).to.deep.equal(['Barney', 'Cookie Monster']);
+                    expect(result.first().related('pets').pluck('name')).to.deep.equal(['Big Bird', 'Grover']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should invalidate the cached results reading a table when a record of it is saved', (done) => {
+
+            const fetchPeople = () => CachedPersonModel.forge().fetchJsonApi({ filter: { 'pets.name': 'Patches' } });
+
+            fetchPeople()
+                .then(() => CachedPersonModel.forge().fetchJsonApi({ sort: ['id'] }))
+                .then(() => CachedPetModel.forge({ id: 3 }).save({ name: 'Patches' }, { patch: true }))
+                .then(() => fetchPeople())
+                .then((result) => {
+
+                    expect(result.pluck('first_name')).to.deep.equal(['Cookie Monster']);
+                    expect(calls).to.deep.equal({ get: 3, set: 3 });
+
+                    return CachedPersonModel.forge().fetchJsonApi({ sort: ['id'] });
+                })
+                .then(() => {
+
+                    expect(calls).to.deep.equal({ get: 4, set: 3 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should cache requests through polymorphic relations', (done) => {
+
+            const fetchComments = () => {
+
+                return CachedCommentModel.forge().fetchJsonApi({
+                    filter: { 'commentable.type': 'skate' },
+                    include: ['commentable']
+                });
+            };
+
+            fetchComments()
+                .then(() => fetchComments())
+                .then((result) => {
+
+                    expect(result.pluck('body')).to.deep.equal(['Fast']);
+                    expect(result.first().related('commentable').get('type')).to.equal('skate');
+                    expect(calls).to.deep.equal({ get: 2, set: 1 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should invalidate the cached results reading a pivot table when records are attached', (done) => {
+
+            const fetchToys = () => CachedPersonModel.forge().fetchJsonApi({ filter: { id: 2 }, include: ['toys'] }, false);
+
+            fetchToys()
+                .then(() => CachedPersonModel.forge({ id: 2 }).toys().attach(2))
+                .then(() => fetchToys())
+                .then((result) => {
+
+                    expect(result.related('toys').pluck('type')).to.deep.equal(['car']);
+                    expect(calls).to.deep.equal({ get: 2, set: 2 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not cache requests opting out or with query callbacks', (done) => {
+
+            CachedPersonModel
+                .forge()
+                .fetchJsonApi({ cache: false })
+                .then(() => CachedPersonModel.forge().fetchJsonApi({}, true, null, (qb) => qb.where('id', 1)))
+                .then(() => {
+
+                    expect(calls).to.deep.equal({ get: 0, set: 0 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should evict the least recently used and expired entries of the memory store', () => {
+
+            const memory = JsonApiParams.memoryStore({ max: 2 });
+
+            memory.set('a', 1);
+            memory.set('b', 2);
+            memory.get('a');
+            memory.set('c', 3);
+
+            expect(memory.get('a')).to.equal(1);
+            expect(memory.get('b')).to.be.undefined;
+
+            memory.set('d', 4, -1);
+
+            expect(memory.get('d')).to.be.undefined;
+        });
+    });
 
     describe('passing default paging parameters to the plugin', () => {
 